@@ -12,42 +12,59 @@ class AnimationGenerator {
         this.targetHeight = 168;
         this.isPlaying = false;
         this.currentPlayFrame = 0;
-        this.playInterval = null;
+        this.playTimer = null;
+        this.playRange = null; // Tag being previewed, or null for the whole animation
         this.animationDirection = 1; // 1 for forward, -1 for reverse (boomerang mode)
+        this.tags = []; // Named frame ranges: { name, from, to, loopMode }
+        this.autosaveTimer = null;
+        this.isRestoringProject = false;
+        this.pendingVideoFile = null;
+        this.videoImportCancelled = false; // Set by closeVideoImport to stop a running import
+        this.pendingSheet = null;
         
         this.initializeElements();
         this.initializeEvents();
         this.updateUI();
+        this.restoreAutosave();
     }
     
     initializeElements() {
         this.importZone = document.getElementById('importZone');
         this.fileInput = document.getElementById('fileInput');
         this.framesContainer = document.getElementById('framesContainer');
-        this.previewCanvas = document.getElementById('previewCanvas');
-        this.previewCtx = this.previewCanvas.getContext('2d');
+        this.displaySimulator = new KywyDisplaySimulator(document.getElementById('previewDisplay'), { scale: 2 });
         this.codeOutput = document.getElementById('codeOutput');
-        
-        // Disable smoothing for pixel art
-        this.previewCtx.imageSmoothingEnabled = false;
-        
-        this.initializePreviewCanvas();
     }
     
+    // Empty the preview, e.g. when the target size changes
     initializePreviewCanvas() {
-        this.previewCanvas.width = this.targetWidth;
-        this.previewCanvas.height = this.targetHeight;
-        this.previewCanvas.style.width = '288px';
-        this.previewCanvas.style.height = '336px';
+        this.displaySimulator.clear();
     }
     
     initializeEvents() {
+        // Project file operations
+        document.getElementById('newBtn').addEventListener('click', () => this.newProject());
+        document.getElementById('saveBtn').addEventListener('click', () => this.saveProject());
+        document.getElementById('loadBtn').addEventListener('click', () => document.getElementById('projectInput').click());
+        document.getElementById('projectInput').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.loadProjectFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
         // File import
         this.importZone.addEventListener('click', () => this.fileInput.click());
         this.importZone.addEventListener('dragover', (e) => this.handleDragOver(e));
         this.importZone.addEventListener('drop', (e) => this.handleDrop(e));
         this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
         
+        // Video clip import
+        this.initializeVideoImport();
+        
+        // Sprite sheet slicing import
+        this.initializeSliceImport();
+        
         // Target size change
         document.getElementById('targetSize').addEventListener('change', (e) => {
             if (e.target.value === 'custom') {
@@ -75,6 +92,10 @@ class AnimationGenerator {
         // Frame management
         document.getElementById('moveUpBtn').addEventListener('click', () => this.moveFrameUp());
         document.getElementById('moveDownBtn').addEventListener('click', () => this.moveFrameDown());
+        document.getElementById('frameDuration').addEventListener('change', (e) => this.setFrameDuration(e.target.value));
+        
+        // Frame tags
+        document.getElementById('addTagBtn').addEventListener('click', () => this.addTag());
         
         // Animation controls
         document.getElementById('playBtn').addEventListener('click', () => this.playAnimation());
@@ -85,12 +106,22 @@ class AnimationGenerator {
             document.getElementById('frameRateDisplay').textContent = e.target.value;
             document.getElementById('currentSpeed').textContent = e.target.value;
             if (this.isPlaying) {
+                const range = this.playRange;
                 this.stopAnimation();
-                this.playAnimation();
+                this.playAnimation(range);
             }
+            this.updateStats();
+            this.generateCode();
         });
         
         // Export
+        KywyExportFormats.addOptions(document.getElementById('exportFormat'));
+        document.getElementById('exportFormat').addEventListener('change', (e) => {
+            document.getElementById('sheetOptions').style.display = e.target.value === 'spritesheet-hpp' ? 'block' : 'none';
+            this.generateCode();
+        });
+        document.getElementById('sheetColumns').addEventListener('change', () => this.generateCode());
+        document.getElementById('sheetSpacing').addEventListener('change', () => this.generateCode());
         document.getElementById('exportBtn').addEventListener('click', () => this.exportAnimation());
         document.getElementById('previewCodeBtn').addEventListener('click', () => this.generateCode());
         document.getElementById('copyCodeBtn').addEventListener('click', () => this.copyCode());
@@ -124,12 +155,76 @@ class AnimationGenerator {
             this.processAllFrames();
         });
         
+        // Temporal coherence tolerance
+        const temporalSlider = document.getElementById('temporalTolerance');
+        temporalSlider.addEventListener('input', (e) => {
+            document.getElementById('temporalToleranceDisplay').textContent = e.target.value;
+            if (document.getElementById('temporalDither').checked) {
+                this.processAllFrames();
+            }
+        });
+        
         // Other controls
-        document.getElementById('dithering').addEventListener('change', () => this.processAllFrames());
+        document.getElementById('dithering').addEventListener('change', () => {
+            this.updateTemporalOptions();
+            this.processAllFrames();
+        });
+        document.getElementById('temporalDither').addEventListener('change', () => this.processAllFrames());
         document.getElementById('invert').addEventListener('change', () => this.processAllFrames());
         document.getElementById('edgeDetection').addEventListener('change', () => this.processAllFrames());
     }
     
+    initializeVideoImport() {
+        this.videoPreview = document.getElementById('videoPreview');
+        
+        this.videoPreview.addEventListener('loadedmetadata', () => {
+            const duration = this.videoPreview.duration || 0;
+            document.getElementById('videoStart').value = 0;
+            document.getElementById('videoStart').max = duration.toFixed(2);
+            document.getElementById('videoEnd').value = duration.toFixed(2);
+            document.getElementById('videoEnd').max = duration.toFixed(2);
+            this.updateVideoFrameEstimate();
+        });
+        
+        document.getElementById('videoStart').addEventListener('input', () => this.updateVideoFrameEstimate());
+        document.getElementById('videoEnd').addEventListener('input', () => this.updateVideoFrameEstimate());
+        document.getElementById('videoSampleRate').addEventListener('input', (e) => {
+            document.getElementById('videoSampleRateDisplay').textContent = e.target.value;
+            this.updateVideoFrameEstimate();
+        });
+        
+        document.getElementById('videoImportBtn').addEventListener('click', () => this.importVideoFrames());
+        document.getElementById('videoCancelBtn').addEventListener('click', () => this.closeVideoImport());
+    }
+    
+    initializeSliceImport() {
+        const sliceInput = document.getElementById('sliceInput');
+        document.getElementById('sliceImportBtn').addEventListener('click', () => sliceInput.click());
+        sliceInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.openSliceImport(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('sliceMode').addEventListener('change', (e) => {
+            const isGrid = e.target.value === 'grid';
+            document.getElementById('sliceGridOptions').style.display = isGrid ? 'block' : 'none';
+            document.getElementById('sliceAutoOptions').style.display = isGrid ? 'none' : 'block';
+            this.updateSlicePreview();
+        });
+        document.getElementById('sliceTolerance').addEventListener('input', (e) => {
+            document.getElementById('sliceToleranceDisplay').textContent = e.target.value;
+            this.updateSlicePreview();
+        });
+        ['sliceCellWidth', 'sliceCellHeight', 'sliceMargin', 'sliceSpacing', 'sliceBackground'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateSlicePreview());
+        });
+        
+        document.getElementById('sliceConfirmBtn').addEventListener('click', () => this.importSlices());
+        document.getElementById('sliceCancelBtn').addEventListener('click', () => this.closeSliceImport());
+    }
+    
     handleDragOver(e) {
         e.preventDefault();
         this.importZone.classList.add('dragover');
@@ -140,7 +235,7 @@ class AnimationGenerator {
         this.importZone.classList.remove('dragover');
         
         const files = Array.from(e.dataTransfer.files).filter(file => 
-            file.type.startsWith('image/')
+            file.type.startsWith('image/') || file.type.startsWith('video/')
         );
         
         if (files.length > 0) {
@@ -157,7 +252,16 @@ class AnimationGenerator {
     }
     
     async processFiles(files) {
-        const sortedFiles = files.sort((a, b) => a.name.localeCompare(b.name));
+        // Video clips open the clip range dialog instead of importing directly
+        const videoFile = files.find(file => file.type.startsWith('video/'));
+        if (videoFile) {
+            this.openVideoImport(videoFile);
+        }
+        
+        const imageFiles = files.filter(file => file.type.startsWith('image/'));
+        if (imageFiles.length === 0) return;
+        
+        const sortedFiles = imageFiles.sort((a, b) => a.name.localeCompare(b.name));
         
         for (const file of sortedFiles) {
             await this.addFrameFromFile(file);
@@ -167,7 +271,28 @@ class AnimationGenerator {
         this.processAllFrames();
     }
     
-    addFrameFromFile(file) {
+    async addFrameFromFile(file) {
+        // Animated GIF/APNG/WebP files are split into one frame per image
+        if (this.isAnimatedImageCandidate(file)) {
+            try {
+                const decodedFrames = await this.decodeAnimatedImage(file);
+                if (decodedFrames.length > 1) {
+                    decodedFrames.forEach((decoded, index) => {
+                        this.frames.push({
+                            originalImage: decoded.canvas,
+                            processedCanvas: this.createProcessedCanvas(decoded.canvas),
+                            name: `${file.name} #${index + 1}`,
+                            size: file.size,
+                            duration: decoded.delayMs
+                        });
+                    });
+                    return;
+                }
+            } catch (err) {
+                console.warn(`Could not decode ${file.name} as an animation, importing as a single frame:`, err);
+            }
+        }
+        
         return new Promise((resolve) => {
             const img = new Image();
             img.onload = () => {
@@ -185,6 +310,394 @@ class AnimationGenerator {
         });
     }
     
+    isAnimatedImageCandidate(file) {
+        return ['image/gif', 'image/png', 'image/apng', 'image/webp'].includes(file.type);
+    }
+    
+    // Decode every frame of an animated image into canvases with per-frame delays.
+    // Uses WebCodecs ImageDecoder when available, otherwise the built-in GIF decoder.
+    async decodeAnimatedImage(file) {
+        const buffer = await file.arrayBuffer();
+        
+        if (typeof ImageDecoder !== 'undefined' && await ImageDecoder.isTypeSupported(file.type)) {
+            const decoder = new ImageDecoder({ data: buffer, type: file.type });
+            await decoder.tracks.ready;
+            const frameCount = decoder.tracks.selectedTrack.frameCount;
+            const frames = [];
+            
+            for (let i = 0; i < frameCount; i++) {
+                const { image } = await decoder.decode({ frameIndex: i });
+                const canvas = document.createElement('canvas');
+                canvas.width = image.displayWidth;
+                canvas.height = image.displayHeight;
+                canvas.getContext('2d').drawImage(image, 0, 0);
+                
+                // VideoFrame durations are in microseconds
+                frames.push({ canvas, delayMs: image.duration ? Math.round(image.duration / 1000) : 100 });
+                image.close();
+            }
+            
+            decoder.close();
+            return frames;
+        }
+        
+        if (file.type !== 'image/gif') {
+            return []; // APNG/WebP need ImageDecoder, fall back to a single frame
+        }
+        
+        const gif = KywyGifDecoder.decode(buffer);
+        return gif.frames.map(frame => {
+            const canvas = document.createElement('canvas');
+            canvas.width = gif.width;
+            canvas.height = gif.height;
+            canvas.getContext('2d').putImageData(frame.imageData, 0, 0);
+            return { canvas, delayMs: frame.delayMs };
+        });
+    }
+    
+    openSliceImport(file) {
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            canvas.getContext('2d').drawImage(img, 0, 0);
+            URL.revokeObjectURL(img.src);
+            
+            this.pendingSheet = { file, canvas };
+            document.getElementById('sliceImport').style.display = 'block';
+            this.updateSlicePreview();
+        };
+        img.src = URL.createObjectURL(file);
+    }
+    
+    closeSliceImport() {
+        this.pendingSheet = null;
+        document.getElementById('sliceImport').style.display = 'none';
+    }
+    
+    // Current slice rectangles for the pending sheet
+    getSliceRects() {
+        if (!this.pendingSheet) return [];
+        
+        const { canvas } = this.pendingSheet;
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        
+        if (document.getElementById('sliceMode').value === 'grid') {
+            return this.sliceByGrid(imageData);
+        }
+        return this.sliceByDetection(imageData);
+    }
+    
+    sliceByGrid(imageData) {
+        const cellWidth = Math.max(1, parseInt(document.getElementById('sliceCellWidth').value) || 1);
+        const cellHeight = Math.max(1, parseInt(document.getElementById('sliceCellHeight').value) || 1);
+        const margin = Math.max(0, parseInt(document.getElementById('sliceMargin').value) || 0);
+        const spacing = Math.max(0, parseInt(document.getElementById('sliceSpacing').value) || 0);
+        const { width, height, data } = imageData;
+        const rects = [];
+        
+        for (let y = margin; y + cellHeight <= height - margin; y += cellHeight + spacing) {
+            for (let x = margin; x + cellWidth <= width - margin; x += cellWidth + spacing) {
+                // Skip fully transparent cells (unused slots at the end of a sheet)
+                let hasContent = false;
+                for (let cy = y; cy < y + cellHeight && !hasContent; cy++) {
+                    for (let cx = x; cx < x + cellWidth; cx++) {
+                        if (data[(cy * width + cx) * 4 + 3] > 0) {
+                            hasContent = true;
+                            break;
+                        }
+                    }
+                }
+                
+                if (hasContent) {
+                    rects.push({ x, y, width: cellWidth, height: cellHeight });
+                }
+            }
+        }
+        
+        return rects;
+    }
+    
+    // Find sprite bounding boxes as connected regions that differ from the background
+    sliceByDetection(imageData) {
+        const { width, height, data } = imageData;
+        const background = document.getElementById('sliceBackground').value;
+        const tolerance = parseInt(document.getElementById('sliceTolerance').value);
+        const [bgR, bgG, bgB] = [data[0], data[1], data[2]];
+        
+        const isForeground = (i) => {
+            const offset = i * 4;
+            if (background === 'transparent') {
+                return data[offset + 3] > tolerance;
+            }
+            return Math.abs(data[offset] - bgR) > tolerance ||
+                   Math.abs(data[offset + 1] - bgG) > tolerance ||
+                   Math.abs(data[offset + 2] - bgB) > tolerance;
+        };
+        
+        const visited = new Uint8Array(width * height);
+        let rects = [];
+        
+        for (let start = 0; start < width * height; start++) {
+            if (visited[start] || !isForeground(start)) continue;
+            
+            // Flood fill (8-connected) to collect the region's bounds
+            let minX = width, minY = height, maxX = 0, maxY = 0;
+            const stack = [start];
+            visited[start] = 1;
+            
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const x = index % width;
+                const y = Math.floor(index / width);
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+                
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                        const neighbor = ny * width + nx;
+                        if (!visited[neighbor] && isForeground(neighbor)) {
+                            visited[neighbor] = 1;
+                            stack.push(neighbor);
+                        }
+                    }
+                }
+            }
+            
+            rects.push({ x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 });
+        }
+        
+        // Merge overlapping boxes so detached parts of one sprite stay together
+        let merged = true;
+        while (merged) {
+            merged = false;
+            for (let i = 0; i < rects.length && !merged; i++) {
+                for (let j = i + 1; j < rects.length; j++) {
+                    const a = rects[i];
+                    const b = rects[j];
+                    if (a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height) {
+                        const x = Math.min(a.x, b.x);
+                        const y = Math.min(a.y, b.y);
+                        rects[i] = {
+                            x, y,
+                            width: Math.max(a.x + a.width, b.x + b.width) - x,
+                            height: Math.max(a.y + a.height, b.y + b.height) - y
+                        };
+                        rects.splice(j, 1);
+                        merged = true;
+                        break;
+                    }
+                }
+            }
+        }
+        
+        // Drop single-pixel specks, then order rows top to bottom and left to right within a row
+        rects = rects.filter(rect => rect.width * rect.height > 1);
+        rects.sort((a, b) => a.y - b.y);
+        
+        const rows = [];
+        rects.forEach(rect => {
+            const row = rows.find(r => rect.y < r.bottom);
+            if (row) {
+                row.rects.push(rect);
+                row.bottom = Math.max(row.bottom, rect.y + rect.height);
+            } else {
+                rows.push({ bottom: rect.y + rect.height, rects: [rect] });
+            }
+        });
+        
+        return rows.flatMap(row => row.rects.sort((a, b) => a.x - b.x));
+    }
+    
+    updateSlicePreview() {
+        if (!this.pendingSheet) return;
+        
+        const { canvas } = this.pendingSheet;
+        const preview = document.getElementById('slicePreview');
+        preview.width = canvas.width;
+        preview.height = canvas.height;
+        const ctx = preview.getContext('2d');
+        ctx.drawImage(canvas, 0, 0);
+        
+        const rects = this.getSliceRects();
+        ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
+        ctx.lineWidth = 1;
+        rects.forEach(rect => {
+            ctx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1);
+        });
+        
+        document.getElementById('sliceCount').textContent = `${rects.length} slice${rects.length === 1 ? '' : 's'}`;
+    }
+    
+    importSlices() {
+        if (!this.pendingSheet) return;
+        
+        const { file, canvas } = this.pendingSheet;
+        const rects = this.getSliceRects();
+        if (rects.length === 0) {
+            alert('No sprites found with the current slicing settings.');
+            return;
+        }
+        
+        rects.forEach((rect, index) => {
+            const slice = document.createElement('canvas');
+            slice.width = rect.width;
+            slice.height = rect.height;
+            slice.getContext('2d').drawImage(canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+            
+            this.frames.push({
+                originalImage: slice,
+                processedCanvas: this.createProcessedCanvas(slice),
+                name: `${file.name} [${index}]`,
+                size: file.size
+            });
+        });
+        
+        this.closeSliceImport();
+        this.updateUI();
+        this.processAllFrames();
+    }
+    
+    openVideoImport(file) {
+        if (this.videoPreview.src) {
+            URL.revokeObjectURL(this.videoPreview.src);
+        }
+        this.pendingVideoFile = file;
+        this.videoPreview.src = URL.createObjectURL(file);
+        document.getElementById('videoImport').style.display = 'block';
+    }
+    
+    closeVideoImport() {
+        // A running import notices this and stops; removing the source below ends its pending seek
+        this.videoImportCancelled = true;
+        this.videoPreview.pause();
+        if (this.videoPreview.src) {
+            URL.revokeObjectURL(this.videoPreview.src);
+        }
+        this.videoPreview.removeAttribute('src');
+        this.videoPreview.load();
+        this.pendingVideoFile = null;
+        document.getElementById('videoImport').style.display = 'none';
+    }
+    
+    getVideoSampleTimes() {
+        const duration = this.videoPreview.duration || 0;
+        const start = Math.max(0, parseFloat(document.getElementById('videoStart').value) || 0);
+        const end = Math.min(duration, parseFloat(document.getElementById('videoEnd').value) || duration);
+        const rate = parseInt(document.getElementById('videoSampleRate').value);
+        
+        const times = [];
+        for (let i = 0; start + i / rate <= end + 1e-6; i++) {
+            times.push(start + i / rate);
+        }
+        return times;
+    }
+    
+    updateVideoFrameEstimate() {
+        const count = this.getVideoSampleTimes().length;
+        document.getElementById('videoFrameEstimate').textContent = `${count} frame${count === 1 ? '' : 's'} will be imported`;
+    }
+    
+    static VIDEO_SEEK_TIMEOUT_MS = 5000;
+    
+    // Resolves once the video shows the frame at `time`; rejects if the video fails, is
+    // unloaded (the dialog was closed) or the seek takes too long
+    seekVideo(time) {
+        const video = this.videoPreview;
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                video.removeEventListener('seeked', onSeeked);
+                video.removeEventListener('error', onError);
+                video.removeEventListener('emptied', onError);
+            };
+            const onSeeked = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error('The video could not be read'));
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Seeking to ${time.toFixed(2)}s timed out`));
+            }, AnimationGenerator.VIDEO_SEEK_TIMEOUT_MS);
+            
+            video.addEventListener('seeked', onSeeked);
+            video.addEventListener('error', onError);
+            video.addEventListener('emptied', onError);
+            video.currentTime = time;
+        });
+    }
+    
+    // Grab frames from the clip at the chosen sampling rate and run them through the normal pipeline
+    async importVideoFrames() {
+        if (!this.pendingVideoFile) return;
+        
+        const times = this.getVideoSampleTimes();
+        if (times.length === 0) {
+            alert('The selected clip range is empty.');
+            return;
+        }
+        if (times.length > 300 && !confirm(`This will import ${times.length} frames. Continue?`)) {
+            return;
+        }
+        
+        const rate = parseInt(document.getElementById('videoSampleRate').value);
+        const { name: fileName, size: fileSize } = this.pendingVideoFile;
+        const importBtn = document.getElementById('videoImportBtn');
+        const originalText = importBtn.textContent;
+        importBtn.disabled = true;
+        this.videoImportCancelled = false;
+        this.videoPreview.pause();
+        
+        // Frames are only added once the whole clip is captured, so a cancelled import adds nothing
+        const frames = [];
+        try {
+            for (let i = 0; i < times.length && !this.videoImportCancelled; i++) {
+                importBtn.textContent = `Importing ${i + 1}/${times.length}...`;
+                await this.seekVideo(times[i]);
+                if (this.videoImportCancelled) break;
+                
+                const canvas = document.createElement('canvas');
+                canvas.width = this.videoPreview.videoWidth;
+                canvas.height = this.videoPreview.videoHeight;
+                canvas.getContext('2d').drawImage(this.videoPreview, 0, 0);
+                
+                frames.push({
+                    originalImage: canvas,
+                    processedCanvas: this.createProcessedCanvas(canvas),
+                    name: `${fileName} @${times[i].toFixed(2)}s`,
+                    size: fileSize,
+                    duration: Math.round(1000 / rate)
+                });
+            }
+        } catch (err) {
+            if (!this.videoImportCancelled) {
+                alert(`Video import failed: ${err.message}`);
+            }
+            return;
+        } finally {
+            importBtn.textContent = originalText;
+            importBtn.disabled = false;
+        }
+        
+        if (this.videoImportCancelled) return;
+        
+        this.frames.push(...frames);
+        this.closeVideoImport();
+        
+        this.updateUI();
+        this.processAllFrames();
+    }
+    
     createProcessedCanvas(img) {
         const canvas = document.createElement('canvas');
         canvas.width = this.targetWidth;
@@ -238,23 +751,25 @@ class AnimationGenerator {
     }
     
     processAllFrames() {
-        this.frames.forEach(frame => {
-            this.processFrame(frame);
+        // Frames are processed in playback order so each one can be stabilised against the last
+        this.frames.forEach((frame, index) => {
+            this.processFrame(frame, index > 0 ? this.frames[index - 1] : null);
         });
         this.updateFramesList();
         this.generateCode();
         this.updateStats();
     }
     
-    processFrame(frame) {
+    processFrame(frame, previousFrame = null) {
         const canvas = document.createElement('canvas');
         canvas.width = this.targetWidth;
         canvas.height = this.targetHeight;
         const ctx = canvas.getContext('2d');
         ctx.imageSmoothingEnabled = false;
         
-        // Start with the resized image
-        ctx.drawImage(frame.processedCanvas, 0, 0);
+        // Start from the original image resized to the current target, so settings
+        // never compound and reloaded projects process exactly like the first time
+        ctx.drawImage(this.createProcessedCanvas(frame.originalImage), 0, 0);
         let imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
         
         // Apply image processing (similar to the converter)
@@ -278,9 +793,21 @@ class AnimationGenerator {
             imageData = this.applyEdgeDetection(imageData);
         }
         
+        // Keep the pre-dither grayscale so the next frame can tell which areas changed
+        const grayData = this.extractChannel(imageData);
+        
         // Apply dithering if selected
+        let anchorData = grayData;
         if (dithering !== 'none') {
-            imageData = this.applyDithering(imageData, dithering, threshold);
+            const reference = this.getTemporalReference(previousFrame);
+            const locks = this.getTemporalLocks(grayData, reference);
+            imageData = this.applyDithering(imageData, dithering, threshold, locks);
+            
+            // Locked pixels keep the gray they were last dithered at, so slow fades still
+            // re-dither once they drift past the tolerance instead of staying frozen
+            if (locks) {
+                anchorData = grayData.map((gray, i) => locks[i] >= 0 ? reference.gray[i] : gray);
+            }
         }
         
         // Convert to binary
@@ -290,6 +817,74 @@ class AnimationGenerator {
         ctx.putImageData(imageData, 0, 0);
         frame.processedCanvas = canvas;
         frame.binaryData = binaryData;
+        frame.grayData = grayData;
+        frame.anchorData = anchorData;
+        // Black/white result before inversion (0 or 255 per pixel)
+        frame.ditheredData = dithering !== 'none'
+            ? this.extractChannel(imageData)
+            : KywyBitmapCodec.maskFromImageData(imageData, threshold).map(bit => bit * 255);
+    }
+    
+    extractChannel(imageData) {
+        const { width, height, data } = imageData;
+        const channel = new Uint8Array(width * height);
+        for (let i = 0; i < channel.length; i++) {
+            channel[i] = data[i * 4];
+        }
+        return channel;
+    }
+    
+    // Temporal coherence: pixels whose source barely changed since the previous frame reuse
+    // that frame's dithered value instead of being re-dithered, so static areas stop shimmering
+    getTemporalReference(previousFrame) {
+        if (!document.getElementById('temporalDither').checked || !previousFrame ||
+            !previousFrame.ditheredData || previousFrame.ditheredData.length !== this.targetWidth * this.targetHeight) {
+            return null;
+        }
+        
+        return {
+            gray: previousFrame.anchorData || previousFrame.grayData,
+            output: previousFrame.ditheredData,
+            tolerance: parseInt(document.getElementById('temporalTolerance').value)
+        };
+    }
+    
+    // Per-pixel output: the previous frame's value where the source is unchanged, otherwise -1 (dither normally)
+    getTemporalLocks(grayData, reference) {
+        if (!reference) return null;
+        
+        const locks = new Int16Array(grayData.length);
+        for (let i = 0; i < grayData.length; i++) {
+            locks[i] = Math.abs(grayData[i] - reference.gray[i]) <= reference.tolerance ? reference.output[i] : -1;
+        }
+        return locks;
+    }
+    
+    updateTemporalOptions() {
+        document.getElementById('temporalOptions').style.display = 
+            document.getElementById('dithering').value === 'none' ? 'none' : 'block';
+    }
+    
+    // Share of pixels in static areas that toggle between consecutive frames - the visible
+    // shimmer on the memory display. Genuine motion is excluded by comparing source grayscale.
+    calculateFlicker() {
+        const STATIC_TOLERANCE = 4;
+        let staticPixels = 0;
+        let toggled = 0;
+        
+        for (let f = 1; f < this.frames.length; f++) {
+            const previous = this.frames[f - 1];
+            const current = this.frames[f];
+            if (!previous.grayData || !current.grayData || previous.grayData.length !== current.grayData.length) continue;
+            
+            for (let i = 0; i < current.grayData.length; i++) {
+                if (Math.abs(current.grayData[i] - previous.grayData[i]) > STATIC_TOLERANCE) continue;
+                staticPixels++;
+                if (current.ditheredData[i] !== previous.ditheredData[i]) toggled++;
+            }
+        }
+        
+        return staticPixels > 0 ? toggled / staticPixels : 0;
     }
     
     // Image processing methods (similar to converter.js)
@@ -376,22 +971,20 @@ class AnimationGenerator {
         return new ImageData(output, width, height);
     }
     
-    applyDithering(imageData, method, threshold) {
-        const { width, height } = imageData;
-        
+    applyDithering(imageData, method, threshold, locks = null) {
         switch (method) {
             case 'floyd-steinberg':
-                return this.floydSteinbergDithering(imageData, threshold);
+                return this.floydSteinbergDithering(imageData, threshold, locks);
             case 'atkinson':
-                return this.atkinsonDithering(imageData, threshold);
+                return this.atkinsonDithering(imageData, threshold, locks);
             case 'ordered':
-                return this.orderedDithering(imageData, threshold);
+                return this.orderedDithering(imageData, threshold, locks);
             default:
                 return imageData;
         }
     }
     
-    floydSteinbergDithering(imageData, threshold) {
+    floydSteinbergDithering(imageData, threshold, locks = null) {
         const { width, height, data } = imageData;
         const newData = new Uint8ClampedArray(data);
         
@@ -399,7 +992,9 @@ class AnimationGenerator {
             for (let x = 0; x < width; x++) {
                 const idx = (y * width + x) * 4;
                 const oldPixel = newData[idx];
-                const newPixel = oldPixel > threshold ? 255 : 0;
+                const locked = locks ? locks[y * width + x] : -1;
+                // Locked pixels still diffuse their error so the surrounding tone stays correct
+                const newPixel = locked >= 0 ? locked : (oldPixel > threshold ? 255 : 0);
                 const error = oldPixel - newPixel;
                 
                 newData[idx] = newData[idx + 1] = newData[idx + 2] = newPixel;
@@ -427,7 +1022,7 @@ class AnimationGenerator {
         return new ImageData(newData, width, height);
     }
     
-    atkinsonDithering(imageData, threshold) {
+    atkinsonDithering(imageData, threshold, locks = null) {
         // Simplified Atkinson dithering
         const { width, height, data } = imageData;
         const newData = new Uint8ClampedArray(data);
@@ -436,7 +1031,8 @@ class AnimationGenerator {
             for (let x = 0; x < width; x++) {
                 const idx = (y * width + x) * 4;
                 const oldPixel = newData[idx];
-                const newPixel = oldPixel > threshold ? 255 : 0;
+                const locked = locks ? locks[y * width + x] : -1;
+                const newPixel = locked >= 0 ? locked : (oldPixel > threshold ? 255 : 0);
                 const error = oldPixel - newPixel;
                 
                 newData[idx] = newData[idx + 1] = newData[idx + 2] = newPixel;
@@ -455,7 +1051,7 @@ class AnimationGenerator {
         return new ImageData(newData, width, height);
     }
     
-    orderedDithering(imageData, threshold) {
+    orderedDithering(imageData, threshold, locks = null) {
         // Simplified ordered dithering
         const { width, height, data } = imageData;
         const newData = new Uint8ClampedArray(data);
@@ -473,7 +1069,8 @@ class AnimationGenerator {
                 const pixel = data[idx];
                 const matrixValue = matrix[y % 4][x % 4];
                 const adjustedThreshold = threshold + (matrixValue - 7.5) * 16;
-                const newPixel = pixel > adjustedThreshold ? 255 : 0;
+                const locked = locks ? locks[y * width + x] : -1;
+                const newPixel = locked >= 0 ? locked : (pixel > adjustedThreshold ? 255 : 0);
                 
                 newData[idx] = newData[idx + 1] = newData[idx + 2] = newPixel;
             }
@@ -483,23 +1080,7 @@ class AnimationGenerator {
     }
     
     convertToBinary(imageData, threshold, invert) {
-        const { width, height, data } = imageData;
-        const binaryData = new Uint8Array(Math.ceil((width * height) / 8));
-        
-        for (let i = 0; i < width * height; i++) {
-            const pixelValue = data[i * 4]; // Red channel
-            let isBlack = pixelValue < threshold;
-            
-            if (invert) isBlack = !isBlack;
-            
-            if (isBlack) {
-                const byteIndex = Math.floor(i / 8);
-                const bitIndex = 7 - (i % 8);
-                binaryData[byteIndex] |= (1 << bitIndex);
-            }
-        }
-        
-        return binaryData;
+        return KywyBitmapCodec.encodeImageData(imageData, threshold, invert);
     }
     
     updateFramesList() {
@@ -554,8 +1135,7 @@ class AnimationGenerator {
         
         // Show frame in preview
         if (this.frames[index]) {
-            this.previewCtx.clearRect(0, 0, this.previewCanvas.width, this.previewCanvas.height);
-            this.previewCtx.drawImage(this.frames[index].processedCanvas, 0, 0);
+            this.displaySimulator.render(this.frames[index].processedCanvas);
         }
     }
     
@@ -570,8 +1150,10 @@ class AnimationGenerator {
                 <p>Size: ${(frame.size / 1024).toFixed(1)} KB</p>
                 <p>Dimensions: ${frame.originalImage.width}×${frame.originalImage.height}</p>
             `;
+            document.getElementById('frameDuration').value = frame.duration || '';
         } else {
             info.innerHTML = '<p>No frame selected</p>';
+            document.getElementById('frameDuration').value = '';
         }
     }
     
@@ -586,27 +1168,31 @@ class AnimationGenerator {
         document.getElementById('moveUpBtn').disabled = !hasSelection || this.selectedFrameIndex === 0;
         document.getElementById('moveDownBtn').disabled = !hasSelection || this.selectedFrameIndex === this.frames.length - 1;
         document.getElementById('cropToContentBtn').disabled = !hasSelection;
+        document.getElementById('frameDuration').disabled = !hasSelection;
         
         document.getElementById('playBtn').disabled = this.frames.length < 2;
         document.getElementById('stopBtn').disabled = !this.isPlaying;
         document.getElementById('exportBtn').disabled = !hasFrames;
         document.getElementById('previewCodeBtn').disabled = !hasFrames;
         document.getElementById('copyCodeBtn').disabled = !hasFrames;
+        document.getElementById('addTagBtn').disabled = !hasFrames;
         
+        this.updateTagsList();
         this.updateStats();
     }
     
     updateStats() {
         const frameCount = this.frames.length;
-        const fps = parseInt(document.getElementById('frameRate').value);
-        const duration = frameCount > 0 ? (frameCount / fps).toFixed(1) : '0.0';
-        const bytesPerFrame = Math.ceil((this.targetWidth * this.targetHeight) / 8);
+        const totalMs = this.frames.reduce((sum, frame, index) => sum + this.getFrameDuration(index), 0);
+        const duration = (totalMs / 1000).toFixed(1);
+        const bytesPerFrame = KywyBitmapCodec.byteLength(this.targetWidth, this.targetHeight);
         const totalBytes = frameCount * bytesPerFrame;
         
         document.getElementById('statFrames').textContent = frameCount;
         document.getElementById('statDuration').textContent = duration + 's';
         document.getElementById('statMemory').textContent = this.formatBytes(totalBytes);
         document.getElementById('statResolution').textContent = `${this.targetWidth}×${this.targetHeight}`;
+        document.getElementById('statFlicker').textContent = (this.calculateFlicker() * 100).toFixed(1) + '%';
     }
     
     formatBytes(bytes) {
@@ -616,56 +1202,177 @@ class AnimationGenerator {
     }
     
     // Animation playback
-    playAnimation() {
+    playAnimation(range = null) {
         if (this.frames.length < 2) return;
         
         this.isPlaying = true;
-        this.currentPlayFrame = 0;
+        this.playRange = range;
         this.animationDirection = 1;
-        const fps = parseInt(document.getElementById('frameRate').value);
         
-        this.playInterval = setInterval(() => {
-            this.previewCtx.clearRect(0, 0, this.previewCanvas.width, this.previewCanvas.height);
-            this.previewCtx.drawImage(this.frames[this.currentPlayFrame].processedCanvas, 0, 0);
+        const first = range ? range.from : 0;
+        const last = range ? range.to : this.frames.length - 1;
+        this.currentPlayFrame = first;
+        
+        const step = () => {
+            this.displaySimulator.render(this.frames[this.currentPlayFrame].processedCanvas);
             
             document.getElementById('playbackFrame').textContent = 
-                `Frame: ${this.currentPlayFrame + 1}/${this.frames.length}`;
+                `Frame: ${this.currentPlayFrame + 1}/${this.frames.length}` + (range ? ` (${range.name})` : '');
             
-            const loopMode = document.getElementById('loopMode').value;
-            if (loopMode === 'PERIODIC') {
-                this.currentPlayFrame = (this.currentPlayFrame + 1) % this.frames.length;
+            // Hold this frame for its own duration
+            const delay = this.getFrameDuration(this.currentPlayFrame);
+            
+            const loopMode = range ? range.loopMode : document.getElementById('loopMode').value;
+            if (last === first) {
+                // Single-frame range: nothing to advance
+            } else if (loopMode === 'PERIODIC') {
+                this.currentPlayFrame = this.currentPlayFrame >= last ? first : this.currentPlayFrame + 1;
             } else if (loopMode === 'BOOMERANG') {
                 // Boomerang mode: go forward then backward
                 this.currentPlayFrame += this.animationDirection;
                 
-                if (this.currentPlayFrame >= this.frames.length - 1) {
+                if (this.currentPlayFrame >= last) {
                     this.animationDirection = -1;
-                    this.currentPlayFrame = this.frames.length - 1;
-                } else if (this.currentPlayFrame <= 0) {
+                    this.currentPlayFrame = last;
+                } else if (this.currentPlayFrame <= first) {
                     this.animationDirection = 1;
-                    this.currentPlayFrame = 0;
+                    this.currentPlayFrame = first;
                 }
             }
-        }, 1000 / fps);
+            
+            this.playTimer = setTimeout(step, delay);
+        };
+        step();
         
         this.updateUI();
     }
     
     stopAnimation() {
         this.isPlaying = false;
-        if (this.playInterval) {
-            clearInterval(this.playInterval);
-            this.playInterval = null;
+        this.playRange = null;
+        if (this.playTimer) {
+            clearTimeout(this.playTimer);
+            this.playTimer = null;
         }
         this.updateUI();
     }
     
+    // Per-frame timing
+    getFrameDuration(index) {
+        const frame = this.frames[index];
+        if (frame && frame.duration) {
+            return frame.duration;
+        }
+        return Math.round(1000 / parseInt(document.getElementById('frameRate').value));
+    }
+    
+    setFrameDuration(value) {
+        const frame = this.frames[this.selectedFrameIndex];
+        if (!frame) return;
+        
+        const duration = parseInt(value);
+        frame.duration = duration > 0 ? duration : undefined; // Empty falls back to the frame rate
+        this.updateStats();
+        this.generateCode();
+    }
+    
+    // Frame tags
+    addTag() {
+        const rawName = document.getElementById('tagName').value.trim();
+        const name = rawName.replace(/[^A-Za-z0-9_]/g, '_');
+        const from = parseInt(document.getElementById('tagFrom').value) - 1;
+        const to = parseInt(document.getElementById('tagTo').value) - 1;
+        const loopMode = document.getElementById('tagLoopMode').value;
+        
+        if (!name) {
+            alert('Please enter a tag name.');
+            return;
+        }
+        if (isNaN(from) || isNaN(to) || from < 0 || to < from || to >= this.frames.length) {
+            alert(`Tag range must be within frames 1–${this.frames.length}.`);
+            return;
+        }
+        
+        // Re-adding a tag with the same name replaces it
+        this.tags = this.tags.filter(tag => tag.name.toLowerCase() !== name.toLowerCase());
+        this.tags.push({ name, from, to, loopMode });
+        this.tags.sort((a, b) => a.from - b.from);
+        
+        document.getElementById('tagName').value = '';
+        this.updateTagsList();
+        this.generateCode();
+    }
+    
+    removeTag(name) {
+        this.tags = this.tags.filter(tag => tag.name !== name);
+        this.updateTagsList();
+        this.generateCode();
+    }
+    
+    // Keep tags on the same frames when frames are inserted, removed or reversed. mapRange gets a
+    // tag's old range and returns the new one; tags left without frames are dropped.
+    remapTags(mapRange) {
+        this.tags = this.tags
+            .map(tag => ({ ...tag, ...mapRange(tag.from, tag.to) }))
+            .filter(tag => tag.from <= tag.to);
+        this.tags.sort((a, b) => a.from - b.from);
+        this.updateTagsList();
+    }
+    
+    // Tags clamped to the current frame list; ranges past the end are dropped
+    getValidTags() {
+        return this.tags
+            .filter(tag => tag.from < this.frames.length)
+            .map(tag => ({ ...tag, to: Math.min(tag.to, this.frames.length - 1) }));
+    }
+    
+    updateTagsList() {
+        const list = document.getElementById('tagsList');
+        const tags = this.getValidTags();
+        
+        if (tags.length === 0) {
+            list.innerHTML = '<p class="empty-hint">No tags defined</p>';
+            return;
+        }
+        
+        list.innerHTML = '';
+        tags.forEach(tag => {
+            const item = document.createElement('div');
+            item.className = 'tag-item';
+            
+            const label = document.createElement('span');
+            label.className = 'tag-label';
+            label.textContent = `${tag.name}: ${tag.from + 1}–${tag.to + 1} (${tag.loopMode.toLowerCase()})`;
+            
+            const playBtn = document.createElement('button');
+            playBtn.textContent = '▶️';
+            playBtn.title = 'Preview tag';
+            playBtn.addEventListener('click', () => {
+                this.stopAnimation();
+                this.playAnimation(tag);
+            });
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '❌';
+            removeBtn.title = 'Remove tag';
+            removeBtn.addEventListener('click', () => this.removeTag(tag.name));
+            
+            item.appendChild(label);
+            item.appendChild(playBtn);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+    }
+    
     // Frame operations
     clearFrames() {
         if (confirm('Clear all frames? This action cannot be undone.')) {
             this.frames = [];
+            this.tags = [];
             this.selectedFrameIndex = -1;
+            this.clearAutosave();
             this.stopAnimation();
+            this.updateTagsList();
             this.updateFramesList();
             this.updateUI();
             this.generateCode();
@@ -674,12 +1381,12 @@ class AnimationGenerator {
     
     reverseFrames() {
         this.frames.reverse();
+        const last = this.frames.length - 1;
+        this.remapTags((from, to) => ({ from: last - to, to: last - from }));
         if (this.selectedFrameIndex >= 0) {
             this.selectedFrameIndex = this.frames.length - 1 - this.selectedFrameIndex;
         }
-        this.updateFramesList();
-        this.updateUI();
-        this.generateCode();
+        this.refreshFrameOrder();
     }
     
     duplicateFrame() {
@@ -687,42 +1394,46 @@ class AnimationGenerator {
             const frame = this.frames[this.selectedFrameIndex];
             const newFrame = {
                 originalImage: frame.originalImage,
-                processedCanvas: frame.processedCanvas.cloneNode(),
+                processedCanvas: frame.processedCanvas,
                 binaryData: new Uint8Array(frame.binaryData),
+                grayData: frame.grayData,
+                anchorData: frame.anchorData,
+                ditheredData: frame.ditheredData,
                 name: frame.name + ' (copy)',
-                size: frame.size
+                size: frame.size,
+                duration: frame.duration
             };
             
-            this.frames.splice(this.selectedFrameIndex + 1, 0, newFrame);
+            const index = this.selectedFrameIndex;
+            this.frames.splice(index + 1, 0, newFrame);
+            // The copy joins the tag of the frame it was made from
+            this.remapTags((from, to) => ({ from: from > index ? from + 1 : from, to: to >= index ? to + 1 : to }));
             this.selectedFrameIndex++;
-            this.updateFramesList();
-            this.updateUI();
-            this.generateCode();
+            this.refreshFrameOrder();
         }
     }
     
     removeFrame() {
         if (this.selectedFrameIndex >= 0) {
-            this.frames.splice(this.selectedFrameIndex, 1);
+            const index = this.selectedFrameIndex;
+            this.frames.splice(index, 1);
+            this.remapTags((from, to) => ({ from: from > index ? from - 1 : from, to: to >= index ? to - 1 : to }));
             if (this.selectedFrameIndex >= this.frames.length) {
                 this.selectedFrameIndex = this.frames.length - 1;
             }
-            this.updateFramesList();
             this.updateSelectedFrameInfo();
-            this.updateUI();
-            this.generateCode();
+            this.refreshFrameOrder();
         }
     }
     
+    // Tags keep their ranges here: moving a frame across a tag's edge moves it into or out of the tag
     moveFrameUp() {
         if (this.selectedFrameIndex > 0) {
             const frame = this.frames[this.selectedFrameIndex];
             this.frames[this.selectedFrameIndex] = this.frames[this.selectedFrameIndex - 1];
             this.frames[this.selectedFrameIndex - 1] = frame;
             this.selectedFrameIndex--;
-            this.updateFramesList();
-            this.updateUI();
-            this.generateCode();
+            this.refreshFrameOrder();
         }
     }
     
@@ -732,10 +1443,20 @@ class AnimationGenerator {
             this.frames[this.selectedFrameIndex] = this.frames[this.selectedFrameIndex + 1];
             this.frames[this.selectedFrameIndex + 1] = frame;
             this.selectedFrameIndex++;
+            this.refreshFrameOrder();
+        }
+    }
+    
+    // Frame order feeds temporal dithering, so reordering re-processes when it is enabled
+    refreshFrameOrder() {
+        if (document.getElementById('temporalDither').checked && document.getElementById('dithering').value !== 'none') {
+            this.processAllFrames();
+        } else {
             this.updateFramesList();
-            this.updateUI();
             this.generateCode();
+            this.updateStats();
         }
+        this.updateUI();
     }
     
     // Auto adjustments - real implementations
@@ -871,6 +1592,7 @@ class AnimationGenerator {
     generateCode() {
         if (this.frames.length === 0) {
             this.codeOutput.value = '';
+            this.scheduleAutosave();
             return;
         }
         
@@ -889,32 +1611,34 @@ class AnimationGenerator {
             case 'individual-hpp':
                 code = this.generateIndividualHPPs(baseName);
                 break;
+            case 'gif':
+                code = `// Animated GIF export: ${this.frames.length} frames, ${this.targetWidth}×${this.targetHeight} pixels\n`;
+                code += `// Click "Export Animation" to download ${baseName}.gif\n`;
+                break;
+            default:
+                if (KywyExportFormats.has(format)) {
+                    code = KywyExportFormats.preview(format, this.buildExportFiles(format, baseName));
+                }
+                break;
         }
         
         this.codeOutput.value = code;
+        this.scheduleAutosave();
     }
     
     generateSpriteHPP(baseName) {
-        const bytesPerFrame = Math.ceil((this.targetWidth * this.targetHeight) / 8);
+        const bytesPerFrame = KywyBitmapCodec.byteLength(this.targetWidth, this.targetHeight);
         
         let code = `// Generated animation: ${baseName}\n`;
         code += `// ${this.frames.length} frames, ${this.targetWidth}×${this.targetHeight} pixels\n`;
-        code += `// Created with Kywy Animation Generator\n\n`;
+        code += `// Created with Kywy Animation Generator\n`;
+        code += KywyBitmapCodec.headerTag() + '\n';
         
         // Generate individual frame data
         this.frames.forEach((frame, index) => {
             code += `const uint8_t ${baseName}_frame_${index}[${bytesPerFrame}] PROGMEM = {\n`;
             
-            const bytes = Array.from(frame.binaryData).map(b => 
-                `0x${b.toString(16).padStart(2, '0').toUpperCase()}`
-            );
-            
-            for (let i = 0; i < bytes.length; i += 12) {
-                code += '    ' + bytes.slice(i, i + 12).join(', ');
-                if (i + 12 < bytes.length) code += ',';
-                code += '\n';
-            }
-            
+            code += this.formatByteRows(frame.binaryData);
             code += `};\n\n`;
         });
         
@@ -927,53 +1651,550 @@ class AnimationGenerator {
         }
         code += `};\n\n`;
         
-        // Usage example
-        const fps = document.getElementById('frameRate').value;
-        const loopMode = document.getElementById('loopMode').value;
+        code += this.generateTimingCode(baseName);
         
+        // Usage example
         code += `// Usage example:\n`;
         code += `Sprite ${baseName}_sprite(${baseName}_frames, ${this.frames.length}, ${this.targetWidth}, ${this.targetHeight});\n`;
         code += `${baseName}_sprite.setPosition(x, y);\n\n`;
-        code += `// In your game loop:\n`;
-        code += `${baseName}_sprite.advanceFrame(0, ${this.frames.length - 1}, ${Math.ceil(60 / fps)}, FrameLoopMode::${loopMode});\n`;
+        code += this.generateAdvanceUsage(baseName, `${baseName}_sprite`);
         code += `engine.display.drawSprite(&${baseName}_sprite);\n`;
         
         return code;
     }
     
+    // Duration table, tag range constants and playback helper shared by every HPP export format
+    generateTimingCode(baseName) {
+        const prefix = baseName.toUpperCase();
+        
+        let code = `// Frame durations in milliseconds\n`;
+        code += `const uint16_t ${baseName}_durations[${this.frames.length}] PROGMEM = {\n`;
+        const durations = this.frames.map((frame, index) => this.getFrameDuration(index));
+        for (let i = 0; i < durations.length; i += 12) {
+            code += '    ' + durations.slice(i, i + 12).join(', ');
+            if (i + 12 < durations.length) code += ',';
+            code += '\n';
+        }
+        code += `};\n\n`;
+        
+        const tags = this.getValidTags();
+        if (tags.length > 0) {
+            code += `// Frame tags (inclusive frame ranges)\n`;
+            tags.forEach(tag => {
+                const tagPrefix = `${prefix}_TAG_${tag.name.toUpperCase()}`;
+                code += `#define ${tagPrefix}_START ${tag.from}\n`;
+                code += `#define ${tagPrefix}_END ${tag.to}\n`;
+                code += `#define ${tagPrefix}_LOOP FrameLoopMode::${tag.loopMode}\n`;
+            });
+            code += `#define ${prefix}_TAG_COUNT ${tags.length}\n\n`;
+        }
+        
+        code += `// Plays a frame range, holding each frame for its entry in ${baseName}_durations\n`;
+        code += `struct ${baseName}_Playback {\n`;
+        code += `    uint16_t start;\n`;
+        code += `    uint16_t end;\n`;
+        code += `    uint16_t frame;\n`;
+        code += `    int8_t step;\n`;
+        code += `    FrameLoopMode loopMode;\n`;
+        code += `    uint32_t elapsedMs;\n`;
+        code += `};\n\n`;
+        code += `inline void ${baseName}_play(${baseName}_Playback &playback, uint16_t start, uint16_t end, FrameLoopMode loopMode) {\n`;
+        code += `    playback = { start, end, start, 1, loopMode, 0 };\n`;
+        code += `}\n\n`;
+        code += `// Call once per tick with the milliseconds since the last call; returns the frame to show\n`;
+        code += `inline uint16_t ${baseName}_update(${baseName}_Playback &playback, uint32_t deltaMs) {\n`;
+        code += `    playback.elapsedMs += deltaMs;\n`;
+        code += `    uint16_t hold;\n`;
+        code += `    while (playback.elapsedMs >= (hold = pgm_read_word(&${baseName}_durations[playback.frame]))) {\n`;
+        code += `        playback.elapsedMs -= hold;\n`;
+        code += `        if (playback.start == playback.end) continue;\n`;
+        code += `        if (playback.loopMode == FrameLoopMode::BOOMERANG) {\n`;
+        code += `            if (playback.frame == playback.end) playback.step = -1;\n`;
+        code += `            else if (playback.frame == playback.start) playback.step = 1;\n`;
+        code += `            playback.frame += playback.step;\n`;
+        code += `        } else {\n`;
+        code += `            playback.frame = playback.frame == playback.end ? playback.start : playback.frame + 1;\n`;
+        code += `        }\n`;
+        code += `    }\n`;
+        code += `    return playback.frame;\n`;
+        code += `}\n\n`;
+        
+        return code;
+    }
+    
+    // Usage lines that play the whole animation, or each tag, through the duration table
+    generateAdvanceUsage(baseName, spriteName) {
+        const prefix = baseName.toUpperCase();
+        const tags = this.getValidTags();
+        const playback = `${baseName}_playback`;
+        
+        let code = `${baseName}_Playback ${playback};\n`;
+        if (tags.length === 0) {
+            const loopMode = document.getElementById('loopMode').value;
+            code += `${baseName}_play(${playback}, 0, ${this.frames.length - 1}, FrameLoopMode::${loopMode});\n`;
+        } else {
+            tags.forEach((tag, index) => {
+                const tagPrefix = `${prefix}_TAG_${tag.name.toUpperCase()}`;
+                code += index === 0 ? '' : '// ';
+                code += `${baseName}_play(${playback}, ${tagPrefix}_START, ${tagPrefix}_END, ${tagPrefix}_LOOP); // ${tag.name}\n`;
+            });
+        }
+        
+        // A one-frame range pins the sprite to the frame the duration table selected
+        code += `\n// In your game loop (60 ticks per second):\n`;
+        code += `uint16_t ${baseName}_current = ${baseName}_update(${playback}, 1000 / 60);\n`;
+        code += `${spriteName}.advanceFrame(${baseName}_current, ${baseName}_current, 1, FrameLoopMode::PERIODIC);\n`;
+        return code;
+    }
+    
     generateSpriteSheetHPP(baseName) {
-        // Would generate SpriteSheet format
-        return this.generateSpriteHPP(baseName) + '\n\n// SpriteSheet format coming soon!';
+        const sheet = this.buildSpriteSheet();
+        const prefix = baseName.toUpperCase();
+        
+        let code = `// Generated sprite sheet: ${baseName}\n`;
+        code += `// ${this.frames.length} frames, ${this.targetWidth}×${this.targetHeight} pixels each, `;
+        code += `${sheet.columns}×${sheet.rows} grid (${sheet.width}×${sheet.height} sheet)\n`;
+        code += `// Created with Kywy Animation Generator\n`;
+        code += KywyBitmapCodec.headerTag() + '\n';
+        
+        // Single bitmap holding every frame
+        code += `const uint8_t ${baseName}_sheet[${sheet.data.length}] PROGMEM = {\n`;
+        code += this.formatByteRows(sheet.data);
+        code += `};\n\n`;
+        
+        // Sheet constants
+        code += `#define ${prefix}_SHEET_WIDTH ${sheet.width}\n`;
+        code += `#define ${prefix}_SHEET_HEIGHT ${sheet.height}\n`;
+        code += `#define ${prefix}_SHEET_COLUMNS ${sheet.columns}\n`;
+        code += `#define ${prefix}_SHEET_ROWS ${sheet.rows}\n`;
+        code += `#define ${prefix}_SHEET_SPACING ${sheet.spacing}\n`;
+        code += `#define ${prefix}_FRAME_WIDTH ${this.targetWidth}\n`;
+        code += `#define ${prefix}_FRAME_HEIGHT ${this.targetHeight}\n`;
+        code += `#define ${prefix}_FRAME_COUNT ${this.frames.length}\n\n`;
+        
+        // Per-frame source rectangles inside the sheet
+        code += `// Source rectangles: { x, y, width, height }\n`;
+        code += `const uint16_t ${baseName}_frame_rects[${this.frames.length}][4] PROGMEM = {\n`;
+        sheet.rects.forEach((rect, index) => {
+            code += `    { ${rect.x}, ${rect.y}, ${rect.width}, ${rect.height} }`;
+            if (index < sheet.rects.length - 1) code += ',';
+            code += `  // [${index}]\n`;
+        });
+        code += `};\n\n`;
+        
+        code += this.generateTimingCode(baseName);
+        
+        // Usage example
+        code += `// Usage example:\n`;
+        code += `SpriteSheet ${baseName}_spritesheet(${baseName}_sheet, ${prefix}_SHEET_WIDTH, ${prefix}_SHEET_HEIGHT, ${prefix}_FRAME_WIDTH, ${prefix}_FRAME_HEIGHT, ${prefix}_SHEET_SPACING);\n`;
+        code += `Sprite ${baseName}_sprite(&${baseName}_spritesheet);\n`;
+        code += `${baseName}_sprite.setPosition(x, y);\n\n`;
+        code += this.generateAdvanceUsage(baseName, `${baseName}_sprite`);
+        code += `engine.display.drawSprite(&${baseName}_sprite);\n`;
+        
+        return code;
+    }
+    
+    // Lay every processed frame out on one grid and pack it as a single bitmap
+    buildSpriteSheet() {
+        const frameCount = this.frames.length;
+        const requestedColumns = parseInt(document.getElementById('sheetColumns').value) || 1;
+        const columns = Math.max(1, Math.min(requestedColumns, frameCount));
+        const rows = Math.ceil(frameCount / columns);
+        const spacing = Math.max(0, parseInt(document.getElementById('sheetSpacing').value) || 0);
+        
+        const width = columns * this.targetWidth + (columns - 1) * spacing;
+        const height = rows * this.targetHeight + (rows - 1) * spacing;
+        
+        // Unused cells and spacing stay white
+        const mask = new Uint8Array(width * height).fill(1);
+        const rects = [];
+        
+        this.frames.forEach((frame, index) => {
+            const cellX = (index % columns) * (this.targetWidth + spacing);
+            const cellY = Math.floor(index / columns) * (this.targetHeight + spacing);
+            const frameMask = KywyBitmapCodec.decode(frame.binaryData, this.targetWidth, this.targetHeight);
+            
+            for (let y = 0; y < this.targetHeight; y++) {
+                for (let x = 0; x < this.targetWidth; x++) {
+                    mask[(cellY + y) * width + cellX + x] = frameMask[y * this.targetWidth + x];
+                }
+            }
+            
+            rects.push({ x: cellX, y: cellY, width: this.targetWidth, height: this.targetHeight });
+        });
+        
+        return {
+            width,
+            height,
+            columns,
+            rows,
+            spacing,
+            rects,
+            data: KywyBitmapCodec.encode(mask, width, height)
+        };
+    }
+    
+    // Format packed bytes as indented rows of 12 hex literals
+    formatByteRows(data) {
+        const bytes = Array.from(data).map(b => 
+            `0x${b.toString(16).padStart(2, '0').toUpperCase()}`
+        );
+        
+        let rows = '';
+        for (let i = 0; i < bytes.length; i += 12) {
+            rows += '    ' + bytes.slice(i, i + 12).join(', ');
+            if (i + 12 < bytes.length) rows += ',';
+            rows += '\n';
+        }
+        return rows;
     }
     
     generateIndividualHPPs(baseName) {
-        // Would generate separate files
-        return this.generateSpriteHPP(baseName) + '\n\n// Individual HPP export coming soon!';
+        // Preview every file of the bundle, one after another
+        return this.buildIndividualHPPFiles(baseName)
+            .map(file => `// ===== ${file.name} =====\n\n${file.content}`)
+            .join('\n');
+    }
+    
+    // One header per frame plus an index header that includes them all
+    buildIndividualHPPFiles(baseName) {
+        const prefix = baseName.toUpperCase();
+        const bytesPerFrame = KywyBitmapCodec.byteLength(this.targetWidth, this.targetHeight);
+        const files = [];
+        
+        this.frames.forEach((frame, index) => {
+            let code = `// Generated animation frame: ${baseName} ${index + 1}/${this.frames.length}\n`;
+            code += `// Source: ${frame.name}, ${this.targetWidth}×${this.targetHeight} pixels\n`;
+            code += `// Created with Kywy Animation Generator\n`;
+            code += KywyBitmapCodec.headerTag() + '\n';
+            code += `#pragma once\n\n`;
+            code += `const uint8_t ${baseName}_frame_${index}[${bytesPerFrame}] PROGMEM = {\n`;
+            code += this.formatByteRows(frame.binaryData);
+            code += `};\n`;
+            
+            files.push({ name: `${baseName}_frame_${index}.hpp`, content: code });
+        });
+        
+        let index = `// Generated animation: ${baseName}\n`;
+        index += `// ${this.frames.length} frames, ${this.targetWidth}×${this.targetHeight} pixels\n`;
+        index += `// Created with Kywy Animation Generator\n`;
+        index += KywyBitmapCodec.headerTag() + '\n';
+        index += `#pragma once\n\n`;
+        files.forEach(file => {
+            index += `#include "${file.name}"\n`;
+        });
+        index += `\n`;
+        
+        index += `#define ${prefix}_FRAME_COUNT ${this.frames.length}\n`;
+        index += `#define ${prefix}_WIDTH ${this.targetWidth}\n`;
+        index += `#define ${prefix}_HEIGHT ${this.targetHeight}\n\n`;
+        
+        index += `const uint8_t* ${baseName}_frames[${this.frames.length}] = {\n`;
+        for (let i = 0; i < this.frames.length; i++) {
+            index += `    ${baseName}_frame_${i}`;
+            if (i < this.frames.length - 1) index += ',';
+            index += '\n';
+        }
+        index += `};\n\n`;
+        
+        index += this.generateTimingCode(baseName);
+        
+        index += `// Usage example:\n`;
+        index += `Sprite ${baseName}_sprite(${baseName}_frames, ${prefix}_FRAME_COUNT, ${prefix}_WIDTH, ${prefix}_HEIGHT);\n`;
+        index += `${baseName}_sprite.setPosition(x, y);\n\n`;
+        index += this.generateAdvanceUsage(baseName, `${baseName}_sprite`);
+        index += `engine.display.drawSprite(&${baseName}_sprite);\n`;
+        
+        files.push({ name: `${baseName}.hpp`, content: index });
+        return files;
     }
     
     // Export and file operations
     exportAnimation() {
         const format = document.getElementById('exportFormat').value;
         
+        const baseName = document.getElementById('exportName').value || 'animation';
+        
         if (format === 'gif') {
-            alert('GIF export is not yet implemented.');
+            this.downloadBlob(this.buildAnimatedGIF(), `${baseName}.gif`);
             return;
         }
         
-        const code = this.codeOutput.value;
-        const baseName = document.getElementById('exportName').value || 'animation';
+        if (format === 'individual-hpp') {
+            const zip = new KywyZipWriter();
+            this.buildIndividualHPPFiles(baseName).forEach(file => zip.addFile(file.name, file.content));
+            this.downloadBlob(zip.toBlob(), `${baseName}.zip`);
+            return;
+        }
         
+        if (KywyExportFormats.has(format)) {
+            const files = this.buildExportFiles(format, baseName);
+            if (files.length === 1) {
+                this.downloadBlob(new Blob([files[0].content], { type: files[0].mimeType }), files[0].name);
+            } else {
+                const zip = new KywyZipWriter();
+                files.forEach(file => zip.addFile(file.name, file.content));
+                this.downloadBlob(zip.toBlob(), `${baseName}.zip`);
+            }
+            return;
+        }
+        
+        const code = this.codeOutput.value;
         const blob = new Blob([code], {type: 'text/plain'});
+        this.downloadBlob(blob, `${baseName}.hpp`);
+    }
+    
+    // Rust, MicroPython, XBM and PBM files from the shared export format registry
+    buildExportFiles(format, baseName) {
+        const bitmaps = this.frames.map((frame, index) => ({
+            name: `${baseName}_frame_${index}`,
+            width: this.targetWidth,
+            height: this.targetHeight,
+            mask: KywyBitmapCodec.decode(frame.binaryData, this.targetWidth, this.targetHeight)
+        }));
+        const durations = this.frames.map((frame, index) => this.getFrameDuration(index));
+        return KywyExportFormats.build(format, baseName, bitmaps, { durations });
+    }
+    
+    // Encode the processed 1-bit frames as a looping GIF using per-frame durations and the loop mode
+    buildAnimatedGIF() {
+        const loopMode = document.getElementById('loopMode').value;
+        const encoder = new KywyGifEncoder(this.targetWidth, this.targetHeight);
+        
+        // Boomerang plays forward then back, without repeating the end frames
+        const sequence = this.frames.map((frame, index) => index);
+        if (loopMode === 'BOOMERANG') {
+            for (let i = this.frames.length - 2; i > 0; i--) {
+                sequence.push(i);
+            }
+        }
+        
+        sequence.forEach(index => {
+            const mask = KywyBitmapCodec.decode(this.frames[index].binaryData, this.targetWidth, this.targetHeight);
+            encoder.addFrame(mask, this.getFrameDuration(index));
+        });
+        
+        return encoder.toBlob();
+    }
+    
+    downloadBlob(blob, fileName) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${baseName}.hpp`;
+        a.download = fileName;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
     }
     
+    // Project persistence
+    
+    // Every control whose value belongs in a project file
+    static PROJECT_CONTROLS = [
+        'autoResize', 'maintainAspect', 'targetSize', 'customWidth', 'customHeight',
+        'frameRate', 'loopMode', 'brightness', 'contrast', 'threshold', 'dithering',
+        'temporalDither', 'temporalTolerance', 'invert', 'edgeDetection', 'exportFormat', 'exportName', 'sheetColumns', 'sheetSpacing'
+    ];
+    
+    static PROJECT_VERSION = 1;
+    
+    getProjectSettings() {
+        const settings = {};
+        AnimationGenerator.PROJECT_CONTROLS.forEach(id => {
+            const element = document.getElementById(id);
+            settings[id] = element.type === 'checkbox' ? element.checked : element.value;
+        });
+        return settings;
+    }
+    
+    applyProjectSettings(settings) {
+        AnimationGenerator.PROJECT_CONTROLS.forEach(id => {
+            if (settings[id] === undefined) return;
+            const element = document.getElementById(id);
+            if (element.type === 'checkbox') {
+                element.checked = settings[id];
+            } else {
+                element.value = settings[id];
+            }
+        });
+        
+        // Sync value labels and dependent panels with the restored controls
+        document.getElementById('frameRateDisplay').textContent = document.getElementById('frameRate').value;
+        document.getElementById('currentSpeed').textContent = document.getElementById('frameRate').value;
+        document.getElementById('brightnessDisplay').textContent = document.getElementById('brightness').value;
+        document.getElementById('contrastDisplay').textContent = document.getElementById('contrast').value;
+        document.getElementById('thresholdDisplay').textContent = document.getElementById('threshold').value;
+        document.getElementById('temporalToleranceDisplay').textContent = document.getElementById('temporalTolerance').value;
+        this.updateTemporalOptions();
+        document.getElementById('sheetOptions').style.display = 
+            document.getElementById('exportFormat').value === 'spritesheet-hpp' ? 'block' : 'none';
+        
+        const targetSize = document.getElementById('targetSize').value;
+        document.getElementById('customSizeInputs').style.display = targetSize === 'custom' ? 'flex' : 'none';
+        const [width, height] = targetSize === 'custom'
+            ? [parseInt(document.getElementById('customWidth').value), parseInt(document.getElementById('customHeight').value)]
+            : targetSize.split('x').map(n => parseInt(n));
+        this.targetWidth = width;
+        this.targetHeight = height;
+        this.initializePreviewCanvas();
+    }
+    
+    imageToDataURL(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+    
+    // Snapshot of the whole session: original source images plus all settings
+    serializeProject() {
+        return {
+            format: 'kywy-animation-project',
+            version: AnimationGenerator.PROJECT_VERSION,
+            savedAt: new Date().toISOString(),
+            settings: this.getProjectSettings(),
+            tags: this.tags.map(tag => ({ ...tag })),
+            frames: this.frames.map(frame => ({
+                name: frame.name,
+                size: frame.size,
+                duration: frame.duration,
+                image: this.imageToDataURL(frame.originalImage)
+            }))
+        };
+    }
+    
+    async loadProject(project) {
+        if (!project || project.format !== 'kywy-animation-project') {
+            throw new Error('Not a Kywy Animation Generator project');
+        }
+        if (project.version > AnimationGenerator.PROJECT_VERSION) {
+            throw new Error(`Project version ${project.version} is newer than this tool supports`);
+        }
+        
+        this.isRestoringProject = true;
+        this.stopAnimation();
+        this.applyProjectSettings(project.settings || {});
+        this.tags = (project.tags || []).map(tag => ({ ...tag }));
+        
+        const frames = await Promise.all((project.frames || []).map(saved => new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve({
+                originalImage: img,
+                processedCanvas: this.createProcessedCanvas(img),
+                name: saved.name,
+                size: saved.size,
+                duration: saved.duration
+            });
+            img.onerror = () => reject(new Error(`Could not decode image for frame "${saved.name}"`));
+            img.src = saved.image;
+        })));
+        
+        this.frames = frames;
+        this.selectedFrameIndex = -1;
+        this.updateSelectedFrameInfo();
+        this.updateUI();
+        this.processAllFrames();
+        this.isRestoringProject = false;
+    }
+    
+    saveProject() {
+        const baseName = document.getElementById('exportName').value || 'animation';
+        const json = JSON.stringify(this.serializeProject());
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), `${baseName}.kywyanim.json`);
+    }
+    
+    loadProjectFile(file) {
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                await this.loadProject(JSON.parse(e.target.result));
+            } catch (err) {
+                this.isRestoringProject = false;
+                alert('Error loading project: ' + err.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+    
+    newProject() {
+        if (this.frames.length > 0 && !confirm('Start a new project? Unsaved frames and settings will be lost.')) {
+            return;
+        }
+        
+        this.stopAnimation();
+        this.frames = [];
+        this.tags = [];
+        this.selectedFrameIndex = -1;
+        this.updateFramesList();
+        this.updateSelectedFrameInfo();
+        this.updateUI();
+        this.generateCode();
+        this.clearAutosave();
+    }
+    
+    // IndexedDB autosave so a closed tab doesn't lose the session
+    openAutosaveDB() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open('kywy-animation-generator', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('projects');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async autosaveRequest(mode, operation) {
+        const db = await this.openAutosaveDB();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction('projects', mode).objectStore('projects'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).finally(() => db.close());
+    }
+    
+    scheduleAutosave() {
+        if (this.isRestoringProject) return;
+        
+        // Debounced so slider drags don't serialize every frame on each step
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => {
+            // Removing the last frame leaves nothing worth restoring
+            if (this.frames.length === 0) {
+                this.clearAutosave();
+                return;
+            }
+            this.autosaveRequest('readwrite', store => store.put(this.serializeProject(), 'autosave'))
+                .catch(err => console.warn('Autosave failed:', err));
+        }, 2000);
+    }
+    
+    clearAutosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveRequest('readwrite', store => store.delete('autosave'))
+            .catch(err => console.warn('Could not clear autosave:', err));
+    }
+    
+    async restoreAutosave() {
+        try {
+            const project = await this.autosaveRequest('readonly', store => store.get('autosave'));
+            if (!project || !project.frames || project.frames.length === 0) return;
+            
+            const savedAt = project.savedAt ? new Date(project.savedAt).toLocaleString() : 'an earlier session';
+            if (confirm(`Restore the autosaved project from ${savedAt} (${project.frames.length} frames)?`)) {
+                await this.loadProject(project);
+            }
+        } catch (err) {
+            this.isRestoringProject = false;
+            console.warn('Could not restore autosave:', err);
+        }
+    }
+    
     copyCode() {
         this.codeOutput.select();
         document.execCommand('copy');
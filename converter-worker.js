@@ -0,0 +1,47 @@
+/*
+ * KYWY Web Tools - Image Converter Preview Worker
+ * Copyright (c) 2025 KOINSLOT, Inc.
+ * Licensed under the BSD 3-Clause License
+ */
+
+// Runs the converter pipeline for live previews off the main thread. The pipeline methods
+// only depend on their arguments (a settings snapshot, see getSettings), so the converter
+// prototype is reused as-is with OffscreenCanvas standing in for DOM canvases.
+importScripts('kywy-bitmap-codec.js', 'converter.js');
+
+const pipeline = Object.create(ImageToHppConverter.prototype);
+let sourceBitmap = null; // ImageBitmap of the current source image, sent once per image
+let blueNoiseShared = false; // The main thread keeps the blue noise map for workers started after this one
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'source') {
+        if (sourceBitmap) sourceBitmap.close();
+        sourceBitmap = message.bitmap;
+        return;
+    }
+
+    if (message.type === 'blueNoise') {
+        ImageToHppConverter.blueNoiseMap = message.map;
+        blueNoiseShared = true;
+        return;
+    }
+
+    if (message.type !== 'process') return;
+
+    try {
+        // SVG sources arrive already rendered at the output size
+        const result = message.imageData
+            ? pipeline.processTargetImage(message.imageData, message.settings)
+            : pipeline.processImage(sourceBitmap, message.settings, message.crop);
+        const transfer = result.gray ? [result.data.buffer, result.gray.levels.buffer] : [result.data.buffer];
+        self.postMessage({ type: 'result', id: message.id, ...result }, transfer);
+        if (ImageToHppConverter.blueNoiseMap && !blueNoiseShared) {
+            self.postMessage({ type: 'blueNoise', map: ImageToHppConverter.blueNoiseMap });
+            blueNoiseShared = true;
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', id: message.id, message: err.message });
+    }
+};
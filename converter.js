@@ -5,11 +5,70 @@
  */
 
 class ImageToHppConverter {
+    // Error-diffusion kernels: [dx, dy, weight] relative to the current pixel, weights over divisor.
+    // Atkinson intentionally diffuses only 6/8 of the error.
+    static ERROR_DIFFUSION_KERNELS = {
+        'floyd-steinberg': { divisor: 16, offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]] },
+        'atkinson': { divisor: 8, offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]] },
+        'jarvis-judice-ninke': { divisor: 48, offsets: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ] },
+        'stucki': { divisor: 42, offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ] },
+        'burkes': { divisor: 32, offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+        ] },
+        'sierra': { divisor: 32, offsets: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ] },
+        'sierra-two-row': { divisor: 16, offsets: [
+            [1, 0, 4], [2, 0, 3],
+            [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]
+        ] },
+        'sierra-lite': { divisor: 4, offsets: [[1, 0, 2], [-1, 1, 1], [0, 1, 1]] }
+    };
+
+    // Lazily generated 64x64 void-and-cluster rank map, shared by all conversions
+    static blueNoiseMap = null;
+
+    // Controls that make up a conversion; snapshots of these are stored per batch image
+    static SETTING_CONTROLS = [
+        'resize', 'customWidth', 'customHeight', 'fitMode', 'resample', 'letterbox', 'brightness', 'contrast',
+        'levelsBlack', 'levelsWhite', 'levelsGamma', 'toneCurve', 'threshold',
+        'invert', 'edgeDetection', 'edgeOperator', 'edgeSensitivity', 'edgeSigma', 'cannyLow', 'cannyHigh',
+        'edgeThinning', 'edgeThickness', 'rotate', 'dithering', 'ditherStrength', 'serpentine', 'grayBits',
+        'svgStrokeWidth', 'svgHinting', 'svgSnap'
+    ];
+
     constructor() {
         this.originalImage = null;
         this.processedImageData = null;
         this.previewTimeout = null;
-        this.isProcessing = false;
+        this.previewWorker = this.createPreviewWorker();
+        this.previewJob = null;      // Job running in the worker: { id, image, startedAt }
+        this.previewJobId = 0;
+        this.pendingPreview = false; // A newer preview was requested while a job was running
+        this.workerSource = null;    // Image whose bitmap the worker currently holds
+        this.batchItems = [];      // { fileName, arrayName, image, overrides }
+        this.batchIndex = -1;
+        this.batchSettings = null; // Shared settings for batch images without overrides
+        this.cropRect = null;      // { x, y, width, height } in rotated source pixels, null = whole image
+        this.cropDrag = null;
+        this.cropView = null;      // Canvas and scale of the interactive original preview
+        this.toneHistograms = null; // Grayscale histograms before and after the tone stage
+        this.curveDragIndex = -1;
+        this.importedArrays = [];  // Arrays found by the HPP import, see parseHppArrays
+        this.displaySimulator = new KywyDisplaySimulator(document.getElementById('displaySimulator'), {
+            scale: parseInt(document.getElementById('previewScale').value)
+        });
         this.initializeEventListeners();
     }
 
@@ -25,6 +84,46 @@ class ImageToHppConverter {
         const previewScaleRange = document.getElementById('previewScale');
 
         imageInput.addEventListener('change', (e) => this.handleImageUpload(e));
+
+        // Paste (Ctrl+V), drag-and-drop anywhere on the page, or a pasted data URL
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+        document.addEventListener('dragover', (e) => {
+            if (!ImageToHppConverter.isImportDrag(e)) return;
+            e.preventDefault();
+            document.body.classList.add('drag-over');
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) document.body.classList.remove('drag-over');
+        });
+        document.addEventListener('drop', (e) => this.handleDrop(e));
+        document.getElementById('imageUrlBtn').addEventListener('click', () => {
+            this.loadImageFromUrl(document.getElementById('imageUrl').value);
+        });
+        document.getElementById('imageUrl').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.loadImageFromUrl(e.target.value);
+        });
+        document.getElementById('folderBtn').addEventListener('click', () => document.getElementById('folderInput').click());
+        document.getElementById('folderInput').addEventListener('change', (e) => this.handleImageUpload(e));
+
+        // Import of existing HPP headers
+        document.getElementById('hppImportToggle').addEventListener('click', () => {
+            const panel = document.getElementById('hppImportPanel');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+        document.getElementById('hppParseBtn').addEventListener('click', () => {
+            this.importHppText(document.getElementById('hppImportText').value);
+        });
+        document.getElementById('hppFileBtn').addEventListener('click', () => document.getElementById('hppFileInput').click());
+        document.getElementById('hppFileInput').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.loadHppFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('importArray').addEventListener('change', (e) => this.selectImportArray(parseInt(e.target.value)));
+        document.getElementById('importWidth').addEventListener('input', () => this.updateImportHeight());
+        document.getElementById('importHeight').addEventListener('input', () => this.updateImportInfo());
+        document.getElementById('importPacking').addEventListener('change', () => this.updateImportHeight());
+        document.getElementById('importBtn').addEventListener('click', () => this.importSelectedArray());
+        document.getElementById('importAllBtn').addEventListener('click', () => this.importAllArrays());
         copyBtn.addEventListener('click', () => this.copyToClipboard());
         downloadBtn.addEventListener('click', () => {
             this.downloadHpp();
@@ -32,10 +131,15 @@ class ImageToHppConverter {
         downloadImageBtn.addEventListener('click', () => {
             this.downloadProcessedImage();
         });
+        document.getElementById('compression').addEventListener('change', () => this.generateHppOutput());
+        KywyExportFormats.addOptions(document.getElementById('outputFormat'));
+        document.getElementById('outputFormat').addEventListener('change', () => this.generateHppOutput());
+        document.getElementById('downloadDecoderBtn').addEventListener('click', () => this.downloadDecoder());
         
         resizeSelect.addEventListener('change', (e) => {
             const customDiv = document.getElementById('customSize');
             customDiv.style.display = e.target.value === 'custom' ? 'block' : 'none';
+            this.drawCropView();
             this.updateLivePreview();
         });
 
@@ -56,9 +160,28 @@ class ImageToHppConverter {
         
         thresholdRange.addEventListener('input', (e) => {
             document.getElementById('thresholdValue').textContent = e.target.value;
+            this.drawHistogram();
             this.updateLivePreview();
         });
 
+        // Levels and tone curve
+        ['levelsBlack', 'levelsWhite', 'levelsGamma'].forEach(id => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                document.getElementById(id + 'Value').textContent = e.target.value;
+                this.drawToneCurve();
+                this.updateLivePreview();
+            });
+        });
+        const curveCanvas = document.getElementById('toneCurveCanvas');
+        curveCanvas.addEventListener('mousedown', (e) => this.startCurveDrag(e));
+        curveCanvas.addEventListener('dblclick', (e) => this.removeCurvePoint(e));
+        window.addEventListener('mousemove', (e) => this.moveCurveDrag(e));
+        window.addEventListener('mouseup', () => {
+            this.curveDragIndex = -1;
+        });
+        document.getElementById('resetToneBtn').addEventListener('click', () => this.resetTone());
+        document.getElementById('autoLevelsBtn').addEventListener('click', () => this.autoAdjustLevels());
+
         previewScaleRange.addEventListener('input', (e) => {
             document.getElementById('previewScaleValue').textContent = e.target.value + 'x';
             this.displayProcessedImage(); // Redraw with new scale
@@ -71,9 +194,67 @@ class ImageToHppConverter {
             edgeSettings.style.display = document.getElementById('edgeDetection').checked ? 'block' : 'none';
             this.updateLivePreview();
         });
-        document.getElementById('rotate').addEventListener('change', () => this.updateLivePreview());
-        document.getElementById('dithering').addEventListener('change', () => this.updateLivePreview());
-        document.getElementById('arrayName').addEventListener('input', () => this.generateHppOutput());
+        document.getElementById('edgeOperator').addEventListener('change', () => {
+            this.updateEdgeOptions();
+            this.updateLivePreview();
+        });
+        document.getElementById('edgeThinning').addEventListener('change', () => this.updateLivePreview());
+        ['edgeSigma', 'cannyLow', 'cannyHigh', 'edgeThickness'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.updateEdgeLabels();
+                this.updateLivePreview();
+            });
+        });
+        document.getElementById('rotate').addEventListener('change', () => {
+            // Crop coordinates refer to the rotated image, so they no longer apply
+            this.setCropRect(null);
+        });
+
+        // Crop, fit and resampling
+        document.getElementById('fitMode').addEventListener('change', () => {
+            this.drawCropView();
+            this.updateLivePreview();
+        });
+        document.getElementById('resample').addEventListener('change', () => this.updateLivePreview());
+
+        // SVG rasterization
+        document.getElementById('svgStrokeWidth').addEventListener('input', () => this.updateLivePreview());
+        document.getElementById('svgHinting').addEventListener('change', () => this.updateLivePreview());
+        document.getElementById('svgSnap').addEventListener('change', () => this.updateLivePreview());
+        document.getElementById('letterbox').addEventListener('change', () => this.updateLivePreview());
+        document.getElementById('resetCropBtn').addEventListener('click', () => this.setCropRect(null));
+        // Tracked on the window so drags keep working outside the preview
+        window.addEventListener('mousemove', (e) => this.moveCropDrag(e));
+        window.addEventListener('mouseup', () => this.endCropDrag());
+        document.getElementById('cropZoom').addEventListener('input', (e) => {
+            document.getElementById('cropZoomValue').textContent = e.target.value + 'x';
+            this.displayOriginalImage(this.originalImage);
+        });
+        document.getElementById('dithering').addEventListener('change', () => {
+            this.updateDitherOptions();
+            this.updateLivePreview();
+        });
+        document.getElementById('ditherStrength').addEventListener('input', (e) => {
+            document.getElementById('ditherStrengthValue').textContent = e.target.value + '%';
+            this.updateLivePreview();
+        });
+        document.getElementById('serpentine').addEventListener('change', () => this.updateLivePreview());
+        document.getElementById('grayBits').addEventListener('change', () => {
+            this.updateGrayInfo();
+            this.updateLivePreview();
+        });
+        document.getElementById('arrayName').addEventListener('input', (e) => {
+            if (this.batchIndex >= 0) {
+                this.batchItems[this.batchIndex].arrayName = e.target.value;
+                this.updateBatchList();
+            }
+            this.generateHppOutput();
+        });
+
+        // Batch conversion
+        document.getElementById('batchOverride').addEventListener('change', (e) => this.setBatchOverride(e.target.checked));
+        document.getElementById('batchExportBtn').addEventListener('click', () => this.exportBatch());
+        document.getElementById('batchClearBtn').addEventListener('click', () => this.clearBatch());
 
         // Edge detection specific controls
         const edgeSensitivity = document.getElementById('edgeSensitivity');
@@ -90,268 +271,1954 @@ class ImageToHppConverter {
         document.getElementById('autoThresholdBtn').addEventListener('click', () => this.autoAdjustThreshold());
         document.getElementById('autoEdgeSensitivityBtn').addEventListener('click', () => this.autoAdjustEdgeSensitivity());
         document.getElementById('autoAllBtn').addEventListener('click', () => this.autoAdjustAll());
+
+        // Presets
+        document.getElementById('presetSelect').addEventListener('change', (e) => {
+            if (e.target.value) this.loadPreset(e.target.value);
+        });
+        document.getElementById('presetSaveBtn').addEventListener('click', () => this.savePreset());
+        document.getElementById('presetDeleteBtn').addEventListener('click', () => this.deletePreset());
+        document.getElementById('presetExportBtn').addEventListener('click', () => this.exportPreset());
+        document.getElementById('presetImportBtn').addEventListener('click', () => document.getElementById('presetInput').click());
+        document.getElementById('presetInput').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importPreset(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('presetLinkBtn').addEventListener('click', () => this.copyPresetLink());
+        window.addEventListener('hashchange', () => this.applyHashSettings());
+
+        // Defaults are whatever the page ships with; links only carry the differences
+        this.defaultSettings = this.getSettings();
+        this.updatePresetList();
+        this.applyHashSettings();
+        this.drawToneCurve();
     }
 
     handleImageUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        const files = Array.from(event.target.files);
+        event.target.value = '';
+        this.handleImageFiles(files);
+    }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-                this.originalImage = img;
-                this.displayOriginalImage(img);
-                // Start live preview as soon as image is loaded
-                this.updateLivePreview();
-            };
-            img.src = e.target.result;
-        };
-        reader.readAsDataURL(file);
+    // Shared entry point for the file pickers, drag-and-drop and paste
+    handleImageFiles(fileList) {
+        // Folder selections include every file, so keep only images
+        const files = fileList.filter(file => file.type.startsWith('image/') || /\.svg$/i.test(file.name));
+        if (files.length === 0) {
+            const header = fileList.find(file => ImageToHppConverter.HPP_FILE_PATTERN.test(file.name));
+            if (!header) return false;
+            this.loadHppFile(header);
+            return true;
+        }
+
+        if (files.length > 1) {
+            this.loadBatch(files);
+            return true;
+        }
+
+        this.loadImageFile(files[0]).then(img => this.setSourceImage(img)).catch(err => alert(err.message));
+        return true;
     }
 
-    updateLivePreview() {
-        if (!this.originalImage || this.isProcessing) return;
-        
-        // Show processing indicator
-        const previewContainer = document.getElementById('processedImage');
-        if (!previewContainer.querySelector('.processing-indicator')) {
-            const indicator = document.createElement('div');
-            indicator.className = 'processing-indicator';
-            indicator.textContent = 'Updating preview...';
-            previewContainer.appendChild(indicator);
+    setSourceImage(img) {
+        this.clearBatch();
+        this.originalImage = img;
+        this.cropRect = null;
+        this.displayOriginalImage(img);
+        // Start live preview as soon as image is loaded
+        this.updateLivePreview();
+    }
+
+    // Load from a data: URL or a web address (the latter only works when the server allows CORS)
+    loadImageFromUrl(url) {
+        const trimmed = url.trim();
+        if (!/^(data:image\/|https?:|blob:)/i.test(trimmed)) {
+            alert('Enter an image data URL (data:image/...) or an http(s) image address.');
+            return;
         }
-        
-        // Debounce the preview updates to avoid excessive processing
-        if (this.previewTimeout) {
-            clearTimeout(this.previewTimeout);
+
+        // Keep SVG markup so it can be rasterized at the output size
+        if (/^data:image\/svg\+xml/i.test(trimmed)) {
+            fetch(trimmed).then(response => response.text())
+                .then(text => this.createSvgImage(text))
+                .then(img => this.setSourceImage(img))
+                .catch(err => alert(err.message));
+            return;
         }
-        
-        this.previewTimeout = setTimeout(() => {
-            this.isProcessing = true;
-            this.convertImage(true); // true = preview mode
-            
-            // Remove processing indicator after a short delay
-            setTimeout(() => {
-                this.isProcessing = false;
-                const indicator = previewContainer.querySelector('.processing-indicator');
-                if (indicator) {
-                    indicator.remove();
-                }
-            }, 50);
-        }, 150);
+
+        const img = new Image();
+        if (!trimmed.startsWith('data:')) {
+            img.crossOrigin = 'anonymous';
+        }
+        img.onload = () => this.setSourceImage(img);
+        img.onerror = () => alert('Could not load the image. Images from other sites must allow cross-origin access; try saving or copying the image instead.');
+        img.src = trimmed;
     }
 
-    displayOriginalImage(img) {
-        const container = document.getElementById('originalImage');
-        container.innerHTML = '';
-        
-        // Create a canvas to show the original image
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        // Scale down for display if too large
-        const maxDisplaySize = 300;
-        let displayWidth = img.width;
-        let displayHeight = img.height;
-        
-        if (img.width > maxDisplaySize || img.height > maxDisplaySize) {
-            const scale = Math.min(maxDisplaySize / img.width, maxDisplaySize / img.height);
-            displayWidth = img.width * scale;
-            displayHeight = img.height * scale;
+    handlePaste(event) {
+        const clipboard = event.clipboardData;
+        if (!clipboard) return;
+
+        const files = Array.from(clipboard.items)
+            .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+        if (files.length > 0) {
+            event.preventDefault();
+            this.handleImageFiles(files);
+            return;
+        }
+
+        // Pasted text is only treated as an image when it isn't going into a text field
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA')) return;
+
+        const text = clipboard.getData('text/plain');
+        if (text && /^(data:image\/|https?:)/i.test(text.trim())) {
+            event.preventDefault();
+            this.loadImageFromUrl(text);
+        } else if (text && ImageToHppConverter.ARRAY_PATTERN.test(text)) {
+            event.preventDefault();
+            document.getElementById('hppImportText').value = text;
+            this.importHppText(text);
         }
-        
-        canvas.width = displayWidth;
-        canvas.height = displayHeight;
-        ctx.drawImage(img, 0, 0, displayWidth, displayHeight);
-        
-        container.appendChild(canvas);
-        
-        const info = document.createElement('p');
-        info.textContent = `Original size: ${img.width} x ${img.height}`;
-        container.appendChild(info);
     }
 
-    getTargetDimensions() {
-        const resizeValue = document.getElementById('resize').value;
-        
-        if (!resizeValue) {
-            return { width: this.originalImage.width, height: this.originalImage.height };
+    // Only files and links are imports; text and slider drags keep their default behavior
+    static isImportDrag(event) {
+        const types = event.dataTransfer ? Array.from(event.dataTransfer.types) : [];
+        return types.includes('Files') || types.includes('text/uri-list');
+    }
+
+    handleDrop(event) {
+        if (!ImageToHppConverter.isImportDrag(event)) return;
+        event.preventDefault();
+        document.body.classList.remove('drag-over');
+
+        const transfer = event.dataTransfer;
+        if (this.handleImageFiles(Array.from(transfer.files))) return;
+
+        // Images dragged from another tab arrive as a URL or an <img> snippet
+        const uri = (transfer.getData('text/uri-list') || '').split('\n').find(line => line && !line.startsWith('#'));
+        const html = transfer.getData('text/html');
+        const htmlSrc = html ? (html.match(/<img[^>]+src="([^"]+)"/i) || [])[1] : null;
+        const url = htmlSrc || uri || transfer.getData('text/plain');
+        if (url) {
+            this.loadImageFromUrl(url.replace(/&amp;/g, '&'));
         }
-        
-        if (resizeValue === 'custom') {
-            const customWidth = parseInt(document.getElementById('customWidth').value);
-            const customHeight = parseInt(document.getElementById('customHeight').value);
-            return { 
-                width: customWidth || this.originalImage.width, 
-                height: customHeight || this.originalImage.height 
+    }
+
+    loadImageFile(file) {
+        if (file.type === 'image/svg+xml' || /\.svg$/i.test(file.name)) {
+            return file.text().then(text => this.createSvgImage(text))
+                .catch(() => { throw new Error(`Could not load SVG: ${file.name}`); });
+        }
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error(`Could not load image: ${file.name}`));
+                img.src = e.target.result;
             };
+            reader.onerror = () => reject(new Error(`Could not read file: ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // HPP import
+
+    static HPP_FILE_PATTERN = /\.(h|hpp|hh|c|cpp|ino)$/i;
+
+    // uint8_t / unsigned char byte arrays, with PROGMEM before or after the name (Adafruit-GFX style)
+    static ARRAY_PATTERN = /\b(?:uint8_t|unsigned\s+char|char)\s+(?:PROGMEM\s+)?(\w+)\s*\[[^\]]*\]\s*(?:PROGMEM\s*)?=\s*\{([^}]*)\}/;
+
+    // Settings that reproduce an imported bitmap pixel for pixel
+    static IMPORT_SETTINGS = {
+        resize: '', fitMode: 'stretch', resample: 'nearest', dithering: 'none',
+        brightness: '0', contrast: '0', threshold: '128', invert: false, edgeDetection: false, rotate: '0'
+    };
+
+    // Find every byte array in C/C++ source, along with what the surrounding comments and
+    // #defines say about its size, packing and compression
+    static parseHppArrays(text) {
+        const pattern = new RegExp(ImageToHppConverter.ARRAY_PATTERN.source, 'g');
+        const arrays = [];
+        let previousEnd = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            // Comments and #defines since the previous array describe this one
+            const preamble = text.slice(previousEnd, match.index);
+            previousEnd = pattern.lastIndex;
+
+            const body = match[2].replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+            const tokens = body.match(/0[xX][0-9a-fA-F]+|0[bB][01]+|\d+/g) || [];
+            if (tokens.length === 0) continue;
+
+            arrays.push(ImageToHppConverter.describeHppArray(text, preamble, match[1], Uint8Array.from(tokens, token => Number(token) & 0xFF)));
         }
-        
-        const [width, height] = resizeValue.split('x').map(Number);
-        return { width, height };
+
+        return arrays;
     }
 
-    convertImage(isPreview = false) {
-        if (!this.originalImage) {
-            if (!isPreview) {
-                alert('Please upload an image first');
+    static describeHppArray(text, preamble, name, bytes) {
+        const packing = KywyBitmapCodec.parseHeaderTag(preamble) || KywyBitmapCodec.parseHeaderTag(text);
+        let dimensions = ImageToHppConverter.findHppDimensions(text, preamble, name);
+
+        // Compressed arrays written by this converter carry their format and unpacked size
+        let data = bytes;
+        let compression = null;
+        const compressionMatch = preamble.match(/\/\/\s*Compression:\s*(\w+)/);
+        if (compressionMatch) {
+            compression = Object.keys(KywyCompression.FORMATS)
+                .find(key => KywyCompression.FORMATS[key].label.toLowerCase() === compressionMatch[1].toLowerCase()) || null;
+        }
+        if (compression) {
+            const rawSizeMatch = text.match(new RegExp(`\\b${name}_raw_size\\s*=\\s*(\\d+)`));
+            const rawSize = rawSizeMatch ? parseInt(rawSizeMatch[1])
+                : dimensions ? KywyBitmapCodec.byteLength(dimensions.width, dimensions.height, packing || {}) : 0;
+            if (rawSize > 0) {
+                data = KywyCompression.decode(bytes, compression, rawSize);
+            } else {
+                compression = null;
+            }
+        }
+
+        // A size that can't hold the data is a leftover from another array; guess instead
+        if (dimensions && !ImageToHppConverter.importSizeFits(data.length, dimensions.width, dimensions.height, packing)) {
+            dimensions = null;
+        }
+        if (!dimensions) {
+            dimensions = { ...ImageToHppConverter.guessDimensions(data.length)[0], source: 'guessed' };
+        }
+
+        return { name, data, packing, compression, ...dimensions };
+    }
+
+    static findHppDimensions(text, preamble, name) {
+        // NAME_WIDTH / NAME_HEIGHT defines, matched to the array by prefix (my_image_data -> MY_IMAGE_WIDTH)
+        const defines = {};
+        for (const match of text.matchAll(/#define\s+(\w+?)_(?:FRAME_)?(WIDTH|HEIGHT)\s+(\d+)/g)) {
+            const prefix = match[1].toLowerCase();
+            defines[prefix] = { ...defines[prefix], [match[2].toLowerCase()]: parseInt(match[3]) };
+        }
+        const complete = Object.keys(defines).filter(prefix => defines[prefix].width && defines[prefix].height);
+        const prefix = complete.filter(p => name.toLowerCase().startsWith(p)).sort((a, b) => b.length - a.length)[0] ||
+            (complete.length === 1 ? complete[0] : null);
+        if (prefix) {
+            return { width: defines[prefix].width, height: defines[prefix].height, source: '#define' };
+        }
+
+        // Size comments: "Size: 32 x 32", "32x32 image", "'logo', 128x64px", "16×16 pixels"
+        const comments = (source) => (source.match(/\/\/.*|\/\*[\s\S]*?\*\//g) || []).join('\n');
+        for (const source of [comments(preamble), comments(text)]) {
+            for (const match of source.matchAll(/(\d+)\s*[x×]\s*(\d+)/g)) {
+                const width = parseInt(match[1]);
+                const height = parseInt(match[2]);
+                if (width > 0 && height > 0) return { width, height, source: 'comment' };
+            }
+        }
+
+        return null;
+    }
+
+    static importSizeFits(byteCount, width, height, packing) {
+        if (packing) return KywyBitmapCodec.byteLength(width, height, packing) === byteCount;
+        return KywyBitmapCodec.byteLength(width, height, { padRows: true }) === byteCount ||
+            KywyBitmapCodec.byteLength(width, height, { padRows: false }) === byteCount;
+    }
+
+    // Possible sizes for an array with no usable size information, most likely first
+    static guessDimensions(byteCount) {
+        const candidates = [];
+        for (let rowBytes = 1; rowBytes <= byteCount; rowBytes++) {
+            if (byteCount % rowBytes === 0) {
+                candidates.push({ width: rowBytes * 8, height: byteCount / rowBytes });
             }
+        }
+
+        // The Kywy screen first, then the squarest shape, portrait on ties like the display
+        const score = ({ width, height }) => (width === 144 && height === 168) ? -1 :
+            Math.abs(Math.log(width / height)) + (width > height ? 1e-6 : 0);
+        return candidates.sort((a, b) => score(a) - score(b));
+    }
+
+    loadHppFile(file) {
+        file.text().then(text => {
+            document.getElementById('hppImportText').value = text;
+            this.importHppText(text);
+        }).catch(() => alert(`Could not read file: ${file.name}`));
+    }
+
+    importHppText(text) {
+        const arrays = ImageToHppConverter.parseHppArrays(text);
+        if (arrays.length === 0) {
+            alert('No bitmap arrays found. Expected something like: uint8_t my_image[] = { 0xff, 0x00, ... };');
             return;
         }
 
-        const brightness = parseInt(document.getElementById('brightness').value);
-        const contrast = parseInt(document.getElementById('contrast').value);
-        const threshold = parseInt(document.getElementById('threshold').value);
-        const invert = document.getElementById('invert').checked;
-        const edgeDetection = document.getElementById('edgeDetection').checked;
-        const rotate = parseInt(document.getElementById('rotate').value);
-        const dithering = document.getElementById('dithering').value;
+        this.importedArrays = arrays;
+        const select = document.getElementById('importArray');
+        select.innerHTML = '';
+        arrays.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${entry.name} (${entry.data.length} bytes)`;
+            select.appendChild(option);
+        });
+
+        document.getElementById('hppImportPanel').style.display = 'block';
+        document.getElementById('hppImportOptions').style.display = 'block';
+        document.getElementById('importAllBtn').style.display = arrays.length > 1 ? 'inline-block' : 'none';
+        this.selectImportArray(0);
+    }
+
+    selectImportArray(index) {
+        const entry = this.importedArrays[index];
+        if (!entry) return;
+
+        document.getElementById('importArray').value = index;
+        document.getElementById('importWidth').value = entry.width;
+        document.getElementById('importHeight').value = entry.height;
+        document.getElementById('importPacking').value = 'auto';
+        this.updateImportInfo();
+    }
 
-        // First, apply rotation to original image if needed
-        let sourceImage = this.originalImage;
-        if (rotate !== 0) {
-            sourceImage = this.rotateImage(this.originalImage, rotate);
+    getImportPacking(entry, width, height) {
+        const choice = document.getElementById('importPacking').value;
+        if (choice === 'auto') {
+            return entry.packing || KywyBitmapCodec.inferOptions(entry.data.length, width, height);
         }
 
-        // Get target dimensions AFTER rotation
-        const { width, height } = this.getTargetDimensions();
+        // Manual layouts keep the bit order and polarity from the header tag
+        const [scan, rows] = choice.split(',');
+        return { ...(entry.packing || KywyBitmapCodec.resolveOptions()), scan, padRows: rows === 'padded' };
+    }
+
+    // Editing the width re-derives the height from the byte count
+    updateImportHeight() {
+        const entry = this.importedArrays[parseInt(document.getElementById('importArray').value)];
+        const width = parseInt(document.getElementById('importWidth').value);
+        if (!entry || !(width > 0)) return;
+
+        const packing = this.getImportPacking(entry, width, parseInt(document.getElementById('importHeight').value) || 1);
+        let height = Math.max(1, Math.floor(entry.data.length * 8 / width));
+        while (height > 1 && KywyBitmapCodec.byteLength(width, height, packing) > entry.data.length) height--;
+        document.getElementById('importHeight').value = height;
+        this.updateImportInfo();
+    }
+
+    updateImportInfo() {
+        const entry = this.importedArrays[parseInt(document.getElementById('importArray').value)];
+        if (!entry) return;
 
-        // Update settings summary - removed per user request
+        const width = parseInt(document.getElementById('importWidth').value) || 0;
+        const height = parseInt(document.getElementById('importHeight').value) || 0;
+        const packing = this.getImportPacking(entry, width, height);
+        const needed = KywyBitmapCodec.byteLength(width, height, packing);
+
+        let info = `${entry.data.length} bytes`;
+        if (entry.compression) info += ` (unpacked from ${KywyCompression.FORMATS[entry.compression].label})`;
+        info += entry.source === 'guessed' ? ' • Size guessed from the byte count' : ` • Size from ${entry.source}`;
+        info += ` • Packing: ${KywyBitmapCodec.describe(packing)}`;
+        if (needed !== entry.data.length) {
+            info += ` • ${width} x ${height} needs ${needed} bytes`;
+        }
+        document.getElementById('importInfo').textContent = info;
+    }
 
-        // Create canvas for processing with final dimensions
+    createImportedImage(entry, width, height, packing) {
+        const mask = KywyBitmapCodec.decode(entry.data, width, height, packing);
         const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
         canvas.width = width;
         canvas.height = height;
+        canvas.getContext('2d').putImageData(KywyBitmapCodec.maskToImageData(mask, width, height), 0, 0);
+        return canvas;
+    }
 
-        // Draw and resize the rotated image to final dimensions
-        ctx.drawImage(sourceImage, 0, 0, width, height);
-        
-        // Get image data
-        let imageData = ctx.getImageData(0, 0, width, height);
-        
-        // Apply brightness and contrast
-        // Apply brightness and contrast
-        imageData = this.adjustBrightnessContrast(imageData, brightness, contrast);
-        
-        // Convert to grayscale
-        imageData = this.convertToGrayscale(imageData);
-        
-        // Apply edge detection and dithering independently if both are selected
-        if (edgeDetection && dithering !== 'none') {
-            // Apply edge detection to a copy of the grayscale image
-            const edgeImageData = this.applyEdgeDetection(this.cloneImageData(imageData), false);
-            
-            // Apply dithering to the original grayscale image
-            const ditheredImageData = this.applyDithering(this.cloneImageData(imageData), dithering, threshold);
-            
-            // Combine edge detection and dithering results
-            imageData = this.combineEdgeAndDither(edgeImageData, ditheredImageData);
-        } else {
-            // Apply edge detection if selected (but not dithering)
-            if (edgeDetection) {
-                imageData = this.applyEdgeDetection(imageData, false);
+    importSelectedArray() {
+        const entry = this.importedArrays[parseInt(document.getElementById('importArray').value)];
+        const width = parseInt(document.getElementById('importWidth').value);
+        const height = parseInt(document.getElementById('importHeight').value);
+        if (!entry) return;
+        if (!(width > 0) || !(height > 0)) {
+            alert('Enter the width and height of the bitmap.');
+            return;
+        }
+
+        const image = this.createImportedImage(entry, width, height, this.getImportPacking(entry, width, height));
+        this.clearBatch();
+        this.useSettings(ImageToHppConverter.IMPORT_SETTINGS);
+        document.getElementById('arrayName').value = entry.name;
+        this.setSourceImage(image);
+    }
+
+    // Every array with its own detected size becomes a batch item
+    importAllArrays() {
+        const usedNames = new Set();
+        const items = this.importedArrays.map(entry => {
+            const packing = entry.packing || KywyBitmapCodec.inferOptions(entry.data.length, entry.width, entry.height);
+            let arrayName = entry.name;
+            for (let n = 2; usedNames.has(arrayName); n++) arrayName = `${entry.name}_${n}`;
+            usedNames.add(arrayName);
+            return {
+                fileName: `${entry.name} (imported)`,
+                arrayName,
+                image: this.createImportedImage(entry, entry.width, entry.height, packing),
+                overrides: null,
+                crop: null
+            };
+        });
+
+        this.clearBatch();
+        this.useSettings(ImageToHppConverter.IMPORT_SETTINGS);
+        this.startBatch(items);
+    }
+
+    // Current value of every conversion control, in the same raw form the inputs hold
+    getSettings() {
+        const settings = {};
+        ImageToHppConverter.SETTING_CONTROLS.forEach(id => {
+            const element = document.getElementById(id);
+            settings[id] = element.type === 'checkbox' ? element.checked : element.value;
+        });
+        return settings;
+    }
+
+    applySettings(settings) {
+        ImageToHppConverter.SETTING_CONTROLS.forEach(id => {
+            if (settings[id] === undefined) return;
+            const element = document.getElementById(id);
+            if (element.type === 'checkbox') {
+                element.checked = settings[id];
+            } else {
+                element.value = settings[id];
             }
-            
-            // Apply dithering if selected (but not edge detection)
-            if (dithering !== 'none') {
-                imageData = this.applyDithering(imageData, dithering, threshold);
+        });
+
+        // Keep labels and dependent panels in sync with the restored values
+        document.getElementById('contrastValue').textContent = document.getElementById('contrast').value;
+        document.getElementById('brightnessValue').textContent = document.getElementById('brightness').value;
+        document.getElementById('thresholdValue').textContent = document.getElementById('threshold').value;
+        document.getElementById('edgeSensitivityValue').textContent = document.getElementById('edgeSensitivity').value;
+        document.getElementById('ditherStrengthValue').textContent = document.getElementById('ditherStrength').value + '%';
+        ['levelsBlack', 'levelsWhite', 'levelsGamma'].forEach(id => {
+            document.getElementById(id + 'Value').textContent = document.getElementById(id).value;
+        });
+        document.getElementById('customSize').style.display = document.getElementById('resize').value === 'custom' ? 'block' : 'none';
+        document.getElementById('edgeDetectionSettings').style.display = document.getElementById('edgeDetection').checked ? 'block' : 'none';
+        this.updateEdgeLabels();
+        this.updateEdgeOptions();
+        this.updateDitherOptions();
+        this.updateGrayInfo();
+    }
+
+    // Presets
+
+    // Drop unknown keys and out-of-range values so imported or linked settings can't break the controls
+    normalizeSettings(raw) {
+        const settings = {};
+        ImageToHppConverter.SETTING_CONTROLS.forEach(id => {
+            if (raw[id] === undefined || raw[id] === null) return;
+            const element = document.getElementById(id);
+            const value = raw[id];
+
+            if (element.type === 'checkbox') {
+                settings[id] = value === true || value === 'true' || value === '1' || value === 1;
+            } else if (element.tagName === 'SELECT') {
+                if (Array.from(element.options).some(option => option.value === String(value))) {
+                    settings[id] = String(value);
+                }
+            } else if (element.type === 'range' || element.type === 'number') {
+                const number = parseFloat(value);
+                if (isNaN(number)) return;
+                const min = element.min !== '' ? parseFloat(element.min) : -Infinity;
+                const max = element.max !== '' ? parseFloat(element.max) : Infinity;
+                settings[id] = String(Math.min(max, Math.max(min, number)));
+            } else {
+                settings[id] = String(value);
             }
+        });
+        return settings;
+    }
+
+    getStoredPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('kywy-converter-presets')) || {};
+        } catch (e) {
+            return {};
         }
-        
-        // Convert to binary
-        const binaryData = this.convertToBinary(imageData, threshold, invert);
-        
-        // Check if dimensions exceed display size (144x168) and show/hide warning
-        const sizeWarning = document.getElementById('sizeWarning');
-        if (width > 144 || height > 168) {
-            sizeWarning.style.display = 'block';
-        } else {
-            sizeWarning.style.display = 'none';
+    }
+
+    setStoredPresets(presets) {
+        try {
+            localStorage.setItem('kywy-converter-presets', JSON.stringify(presets));
+        } catch (e) {
+            alert('Could not save presets: browser storage is unavailable.');
         }
-        
-        this.processedImageData = {
-            width: width,
-            height: height,
-            data: binaryData
-        };
+    }
 
-        this.displayProcessedImage();
-        
-        // Only generate HPP output if not in preview mode or if explicitly requested
-        if (!isPreview) {
-            this.generateHppOutput();
-        } else if (this.processedImageData) {
-            // Generate HPP output for live preview too
-            this.generateHppOutput();
+    updatePresetList(selected = '') {
+        const select = document.getElementById('presetSelect');
+        select.innerHTML = '<option value="">— Presets —</option>';
+        Object.keys(this.getStoredPresets()).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    // Apply settings on top of the page defaults and refresh the preview
+    useSettings(settings) {
+        this.applySettings({ ...this.defaultSettings, ...this.normalizeSettings(settings) });
+        this.drawCropView();
+        this.updateLivePreview();
+    }
+
+    loadPreset(name) {
+        const preset = this.getStoredPresets()[name];
+        if (preset) {
+            this.useSettings(preset);
         }
     }
 
-    applyEdgeDetection(imageData, willDither = false) {
-        const { width, height, data } = imageData;
-        const output = new Uint8ClampedArray(data.length);
+    savePreset() {
+        const current = document.getElementById('presetSelect').value;
+        const input = prompt('Preset name:', current || '');
+        const name = input ? input.trim() : '';
+        if (!name) return;
+
+        const presets = this.getStoredPresets();
+        if (presets[name] && name !== current && !confirm(`Replace the existing preset "${name}"?`)) {
+            return;
+        }
+        presets[name] = this.getSettings();
+        this.setStoredPresets(presets);
+        this.updatePresetList(name);
+    }
+
+    deletePreset() {
+        const name = document.getElementById('presetSelect').value;
+        if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+
+        const presets = this.getStoredPresets();
+        delete presets[name];
+        this.setStoredPresets(presets);
+        this.updatePresetList();
+    }
+
+    exportPreset() {
+        const name = document.getElementById('presetSelect').value || 'converter-settings';
+        const preset = {
+            format: 'kywy-converter-preset',
+            version: 1,
+            name: name,
+            settings: this.getSettings()
+        };
+        const fileName = name.replace(/[^A-Za-z0-9_-]+/g, '_');
+        this.downloadBlob(new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' }), `${fileName}.preset.json`);
+    }
+
+    importPreset(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const preset = JSON.parse(e.target.result);
+                if (preset.format !== 'kywy-converter-preset' || !preset.settings) {
+                    throw new Error('Not a Kywy converter preset');
+                }
+
+                const name = (preset.name || file.name.replace(/(\.preset)?\.json$/, '')).trim();
+                const presets = this.getStoredPresets();
+                presets[name] = { ...this.defaultSettings, ...this.normalizeSettings(preset.settings) };
+                this.setStoredPresets(presets);
+                this.updatePresetList(name);
+                this.useSettings(presets[name]);
+            } catch (err) {
+                alert('Error importing preset: ' + err.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // Shareable link: settings that differ from the defaults as hash parameters,
+    // e.g. converter.html#dithering=atkinson&threshold=140&invert=1
+    getPresetHash() {
+        const params = new URLSearchParams();
+        const settings = this.getSettings();
+        Object.keys(settings).forEach(id => {
+            if (settings[id] === this.defaultSettings[id]) return;
+            params.set(id, typeof settings[id] === 'boolean' ? (settings[id] ? '1' : '0') : settings[id]);
+        });
+        return params.toString();
+    }
+
+    copyPresetLink() {
+        const hash = this.getPresetHash();
+        const url = `${location.origin}${location.pathname}${hash ? '#' + hash : ''}`;
+        history.replaceState(null, '', url);
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url)
+                .then(() => alert('Settings link copied to clipboard!'))
+                .catch(() => prompt('Copy this settings link:', url));
+        } else {
+            prompt('Copy this settings link:', url);
+        }
+    }
+
+    applyHashSettings() {
+        const hash = location.hash.replace(/^#/, '');
+        if (!hash) return;
+
+        const settings = {};
+        new URLSearchParams(hash).forEach((value, key) => {
+            settings[key] = value;
+        });
+        this.useSettings(settings);
+    }
+
+    // Batch conversion
+
+    // C identifier from a file name, e.g. "icon-home@2x.png" -> "icon_home_2x"
+    static toArrayName(fileName) {
+        return ImageToHppConverter.toIdentifier(fileName.replace(/\.[^.]+$/, ''));
+    }
+
+    // Any text as a valid C identifier ([A-Za-z_][A-Za-z0-9_]*)
+    static toIdentifier(text) {
+        let name = text.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+        if (!name) name = 'image';
+        if (/^[0-9]/.test(name)) name = 'img_' + name;
+        return name;
+    }
+
+    // Names typed per image are free text, so they are made valid and unique before export
+    getBatchArrayNames() {
+        const usedNames = new Set();
+        return this.batchItems.map(item => {
+            const base = ImageToHppConverter.toIdentifier(item.arrayName);
+            let name = base;
+            for (let n = 2; usedNames.has(name); n++) name = `${base}_${n}`;
+            usedNames.add(name);
+            return name;
+        });
+    }
+
+    async loadBatch(files) {
+        // Folder order from the browser is arbitrary; sort by path for stable output
+        const sorted = files.slice().sort((a, b) =>
+            (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, undefined, { numeric: true }));
+
+        const items = [];
+        const usedNames = new Set();
+        for (const file of sorted) {
+            try {
+                const image = await this.loadImageFile(file);
+                let arrayName = ImageToHppConverter.toArrayName(file.name);
+                for (let n = 2; usedNames.has(arrayName); n++) {
+                    arrayName = `${ImageToHppConverter.toArrayName(file.name)}_${n}`;
+                }
+                usedNames.add(arrayName);
+                items.push({ fileName: file.webkitRelativePath || file.name, arrayName, image, overrides: null, crop: null });
+            } catch (err) {
+                console.warn(err.message);
+            }
+        }
+
+        if (items.length === 0) {
+            alert('None of the selected images could be loaded.');
+            return;
+        }
+
+        this.startBatch(items);
+    }
+
+    startBatch(items) {
+        this.batchItems = items;
+        this.batchIndex = -1;
+        this.batchSettings = this.getSettings();
+        document.getElementById('batch-section').style.display = 'block';
+        this.selectBatchItem(0);
+    }
+
+    // Save the controls back to wherever they came from: the selected image's overrides or the shared settings
+    storeBatchSettings() {
+        const item = this.batchItems[this.batchIndex];
+        if (item && item.overrides) {
+            item.overrides = this.getSettings();
+        } else {
+            this.batchSettings = this.getSettings();
+        }
+    }
+
+    selectBatchItem(index) {
+        if (this.batchIndex >= 0) {
+            this.storeBatchSettings();
+        }
+
+        const item = this.batchItems[index];
+        this.batchIndex = index;
+        this.applySettings(item.overrides || this.batchSettings);
+        document.getElementById('arrayName').value = item.arrayName;
+        document.getElementById('batchOverride').checked = !!item.overrides;
+
+        this.originalImage = item.image;
+        this.cropRect = item.crop;
+        this.displayOriginalImage(item.image);
+        this.updateBatchList();
+        this.updateLivePreview();
+    }
+
+    setBatchOverride(enabled) {
+        const item = this.batchItems[this.batchIndex];
+        if (!item) return;
+
+        if (enabled) {
+            // Start the override from the shared settings currently shown
+            this.batchSettings = this.getSettings();
+            item.overrides = this.getSettings();
+        } else {
+            item.overrides = null;
+            this.applySettings(this.batchSettings);
+            this.updateLivePreview();
+        }
+        this.updateBatchList();
+    }
+
+    updateBatchList() {
+        const list = document.getElementById('batchList');
+        list.innerHTML = '';
+
+        this.batchItems.forEach((item, index) => {
+            const row = document.createElement('li');
+            row.className = `batch-item${index === this.batchIndex ? ' selected' : ''}`;
+            row.title = item.fileName;
+            row.addEventListener('click', () => {
+                if (index !== this.batchIndex) this.selectBatchItem(index);
+            });
+
+            const name = document.createElement('span');
+            name.className = 'batch-item-name';
+            name.textContent = item.arrayName;
+            row.appendChild(name);
+
+            const info = document.createElement('span');
+            info.className = 'batch-item-info';
+            info.textContent = `${item.image.width}×${item.image.height}` + (item.overrides ? ' • custom' : '');
+            row.appendChild(info);
+
+            list.appendChild(row);
+        });
+
+        document.getElementById('batchCount').textContent = `${this.batchItems.length} images`;
+    }
+
+    clearBatch() {
+        this.batchItems = [];
+        this.batchIndex = -1;
+        if (this.batchSettings) {
+            this.applySettings(this.batchSettings);
+            this.batchSettings = null;
+        }
+        document.getElementById('batch-section').style.display = 'none';
+        document.getElementById('batchList').innerHTML = '';
+    }
+
+    async exportBatch() {
+        if (this.batchItems.length === 0) return;
+        this.storeBatchSettings();
+
+        const format = document.getElementById('batchFormat').value;
+        const baseName = ImageToHppConverter.toArrayName(document.getElementById('batchName').value || 'images');
+
+        for (const item of this.batchItems) {
+            await this.prepareSvgRaster(item.image, item.overrides || this.batchSettings, item.crop);
+        }
+
+        const outputFormat = document.getElementById('outputFormat').value;
+        if (KywyExportFormats.has(outputFormat)) {
+            this.exportBatchFiles(outputFormat, format, baseName);
+            return;
+        }
+
+        const compression = document.getElementById('compression').value;
+        const names = this.getBatchArrayNames();
+        const arrays = this.batchItems.map((item, index) => {
+            const name = names[index];
+            const result = this.processImage(item.image, item.overrides || this.batchSettings, item.crop);
+            const text = result.gray
+                ? this.formatGrayHpp(name, result.width, result.height, result.gray, compression)
+                : this.formatHppArray(name, result.width, result.height, result.data, compression);
+            return { item, name, result, text };
+        });
+
+        if (format === 'zip') {
+            const zip = new KywyZipWriter();
+            arrays.forEach(({ name, text }) => zip.addFile(`${name}.hpp`, this.formatDecoderInclude(compression) + text + '\n'));
+            if (KywyCompression.FORMATS[compression]) {
+                zip.addFile(KywyCompression.FORMATS[compression].decoderFile, KywyCompression.decoderSource(compression));
+            }
+            this.downloadBlob(zip.toBlob(), `${baseName}.zip`);
+            return;
+        }
+
+        let output = `// ${baseName}.hpp - ${arrays.length} bitmaps generated by the Kywy Image Converter\n`;
+        output += '\n';
+        output += this.formatDecoderInclude(compression);
+        output += arrays.map(({ text }) => text).join('\n\n') + '\n\n';
+        output += `// Index of all bitmaps in this file\n`;
+        arrays.forEach(({ item, name, result }) => {
+            const depth = result.gray ? `, ${result.gray.bits}-bit gray` : '';
+            output += `//   ${name}: ${result.width} x ${result.height}${depth} (${item.fileName})\n`;
+        });
+        this.downloadBlob(new Blob([output], { type: 'text/plain' }), `${baseName}.hpp`);
+    }
+
+    // Batch export through the shared format registry; image formats always hold one bitmap per file
+    exportBatchFiles(outputFormat, format, baseName) {
+        const names = this.getBatchArrayNames();
+        const bitmaps = this.batchItems.map((item, index) => {
+            const result = this.processImage(item.image, item.overrides || this.batchSettings, item.crop);
+            return this.getOutputBitmap(names[index], result);
+        });
+
+        const files = format === 'zip'
+            ? bitmaps.flatMap(bitmap => KywyExportFormats.build(outputFormat, bitmap.name, [bitmap]))
+            : KywyExportFormats.build(outputFormat, baseName, bitmaps);
+
+        if (files.length === 1) {
+            this.downloadBlob(new Blob([files[0].content], { type: files[0].mimeType }), files[0].name);
+            return;
+        }
+
+        const zip = new KywyZipWriter();
+        files.forEach(file => zip.addFile(file.name, file.content));
+        this.downloadBlob(zip.toBlob(), `${baseName}.zip`);
+    }
+
+    getOutputBitmap(name, result = this.processedImageData) {
+        return {
+            name,
+            width: result.width,
+            height: result.height,
+            mask: KywyBitmapCodec.decode(result.data, result.width, result.height)
+        };
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    updateLivePreview() {
+        if (!this.originalImage) return;
+        
+        // Show processing indicator
+        const previewContainer = document.getElementById('processedImage');
+        if (!previewContainer.querySelector('.processing-indicator')) {
+            const indicator = document.createElement('div');
+            indicator.className = 'processing-indicator';
+            indicator.textContent = 'Updating preview...';
+            previewContainer.appendChild(indicator);
+        }
+        
+        if (this.previewWorker) {
+            this.requestWorkerPreview();
+            return;
+        }
+        
+        // Main-thread fallback: debounce the preview updates to avoid excessive processing
+        if (this.previewTimeout) {
+            clearTimeout(this.previewTimeout);
+        }
+        
+        this.previewTimeout = setTimeout(() => {
+            this.convertImage(true); // true = preview mode
+            
+            // Remove processing indicator after a short delay
+            setTimeout(() => {
+                const indicator = previewContainer.querySelector('.processing-indicator');
+                if (indicator) {
+                    indicator.remove();
+                }
+            }, 50);
+        }, 150);
+    }
+
+    // Preview worker
+
+    // Jobs running longer than this are abandoned (by restarting the worker) when a newer one arrives
+    static PREVIEW_CANCEL_AFTER_MS = 250;
+
+    // Live previews run in converter-worker.js so large images never block input. Browsers
+    // without Worker/OffscreenCanvas support, or pages opened from file://, process on the main thread.
+    createPreviewWorker() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+            return null;
+        }
+
+        try {
+            const worker = new Worker('converter-worker.js');
+            worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+            worker.onerror = (e) => {
+                e.preventDefault();
+                console.warn('Preview worker failed, processing on the main thread:', e.message);
+                this.disablePreviewWorker();
+            };
+            // Restarted workers start from the map an earlier worker built
+            if (ImageToHppConverter.blueNoiseMap) {
+                worker.postMessage({ type: 'blueNoise', map: ImageToHppConverter.blueNoiseMap });
+            }
+            return worker;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    disablePreviewWorker() {
+        if (this.previewWorker) this.previewWorker.terminate();
+        this.previewWorker = null;
+        this.previewJob = null;
+        this.workerSource = null;
+        this.updateLivePreview();
+    }
+
+    // Only the newest settings matter: while a job runs, later requests collapse into one pending job
+    requestWorkerPreview() {
+        if (!this.previewJob) {
+            this.startWorkerPreview();
+            return;
+        }
+
+        this.pendingPreview = true;
+        // A job building the blue noise map runs to the end, or every restart would build it again
+        if (!this.previewJob.buildsBlueNoise && performance.now() - this.previewJob.startedAt > ImageToHppConverter.PREVIEW_CANCEL_AFTER_MS) {
+            // A worker can't be interrupted mid-job, so replace it
+            this.previewWorker.terminate();
+            this.previewWorker = this.createPreviewWorker();
+            this.previewJob = null;
+            this.workerSource = null;
+            this.startWorkerPreview();
+        }
+    }
+
+    async startWorkerPreview() {
+        const worker = this.previewWorker;
+        const image = this.originalImage;
+        const settings = this.getSettings();
+        const crop = this.cropRect;
+        const id = ++this.previewJobId;
+        this.pendingPreview = false;
+        const buildsBlueNoise = settings.dithering === 'blue-noise' && !ImageToHppConverter.blueNoiseMap;
+        this.previewJob = { id, image, startedAt: performance.now(), buildsBlueNoise };
+
+        try {
+            const job = { type: 'process', id, settings, crop };
+            const transfer = [];
+            if (image.svgSource) {
+                // SVG rasterizes on the main thread at the output size; the worker does the rest
+                job.imageData = this.renderTargetImage(image, settings, crop);
+                transfer.push(job.imageData.data.buffer);
+            } else if (this.workerSource !== image) {
+                const bitmap = await createImageBitmap(image);
+                if (worker !== this.previewWorker || !this.previewJob || this.previewJob.id !== id) {
+                    bitmap.close();
+                    return; // Cancelled while decoding
+                }
+                worker.postMessage({ type: 'source', bitmap }, [bitmap]);
+                this.workerSource = image;
+            }
+            worker.postMessage(job, transfer);
+        } catch (err) {
+            console.warn('Preview worker job failed, processing on the main thread:', err.message);
+            this.disablePreviewWorker();
+        }
+    }
+
+    handleWorkerMessage(message) {
+        if (message.type === 'blueNoise') {
+            ImageToHppConverter.blueNoiseMap = ImageToHppConverter.blueNoiseMap || message.map;
+            return;
+        }
+
+        // Results of jobs that were superseded by a worker restart never match
+        if (!this.previewJob || message.id !== this.previewJob.id) return;
+
+        const job = this.previewJob;
+        this.previewJob = null;
+
+        if (message.type === 'error') {
+            console.warn('Preview worker job failed, processing on the main thread:', message.message);
+            this.disablePreviewWorker();
+            return;
+        }
+
+        if (job.image === this.originalImage) {
+            this.applyConversionResult(message);
+        }
+        if (this.pendingPreview) {
+            this.startWorkerPreview();
+        }
+    }
+
+    displayOriginalImage(img) {
+        if (!img) return;
+        const container = document.getElementById('originalImage');
+        container.innerHTML = '';
+        
+        // Show the rotated image, since that is what crop coordinates refer to
+        const rotate = parseInt(document.getElementById('rotate').value);
+        const source = rotate !== 0 ? this.rotateImage(img, rotate) : img;
+        
+        // Scale down for display if too large, then apply the user's zoom
+        const maxDisplaySize = 300;
+        const fitScale = Math.min(1, maxDisplaySize / source.width, maxDisplaySize / source.height);
+        const scale = fitScale * parseFloat(document.getElementById('cropZoom').value);
+        
+        const viewport = document.createElement('div');
+        viewport.className = 'crop-viewport';
+        const canvas = document.createElement('canvas');
+        canvas.className = 'crop-canvas';
+        canvas.width = Math.max(1, Math.round(source.width * scale));
+        canvas.height = Math.max(1, Math.round(source.height * scale));
+        viewport.appendChild(canvas);
+        container.appendChild(viewport);
+        
+        this.cropView = { canvas, source, scale };
+        document.getElementById('svgOptions').style.display = img.svgSource ? 'flex' : 'none';
+        this.drawCropView();
+        
+        canvas.addEventListener('mousedown', (e) => this.startCropDrag(e));
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const zoom = document.getElementById('cropZoom');
+            zoom.value = Math.min(parseFloat(zoom.max), Math.max(parseFloat(zoom.min), parseFloat(zoom.value) + (e.deltaY < 0 ? 0.5 : -0.5)));
+            zoom.dispatchEvent(new Event('input'));
+        }, { passive: false });
+        
+        const info = document.createElement('p');
+        info.textContent = `Original size: ${img.width} x ${img.height}` +
+            (this.cropRect ? ` • Crop: ${this.cropRect.width} x ${this.cropRect.height} at ${this.cropRect.x}, ${this.cropRect.y}` : '') +
+            ' • Drag to crop, drag the crop to pan';
+        container.appendChild(info);
+    }
+
+    // Draw the source with the region that will actually be converted highlighted
+    drawCropView() {
+        if (!this.cropView || !this.originalImage) return;
+        const { canvas, source, scale } = this.cropView;
+        const ctx = canvas.getContext('2d');
+        
+        ctx.imageSmoothingEnabled = scale < 1;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+        
+        const settings = this.getSettings();
+        const region = this.getSourceRegion(source, this.cropRect);
+        const { width, height } = this.getTargetDimensions(region, settings);
+        const used = this.getPlacement(region, width, height, settings.fitMode).source;
+        
+        // Dim everything outside the used area
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.beginPath();
+        ctx.rect(0, 0, canvas.width, canvas.height);
+        ctx.rect(used.x * scale, used.y * scale, used.width * scale, used.height * scale);
+        ctx.fill('evenodd');
+        
+        ctx.strokeStyle = '#3498db';
+        ctx.lineWidth = 2;
+        ctx.setLineDash(this.cropRect ? [] : [4, 4]);
+        ctx.strokeRect(used.x * scale, used.y * scale, used.width * scale, used.height * scale);
+        ctx.setLineDash([]);
+    }
+
+    cropPointFromEvent(e) {
+        const { canvas, source, scale } = this.cropView;
+        const rect = canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (canvas.width / rect.width) / scale;
+        const y = (e.clientY - rect.top) * (canvas.height / rect.height) / scale;
+        return {
+            x: Math.max(0, Math.min(source.width, x)),
+            y: Math.max(0, Math.min(source.height, y))
+        };
+    }
+
+    startCropDrag(e) {
+        if (!this.cropView) return;
+        e.preventDefault();
+        const point = this.cropPointFromEvent(e);
+        const crop = this.cropRect;
+        
+        if (crop && point.x >= crop.x && point.x <= crop.x + crop.width && point.y >= crop.y && point.y <= crop.y + crop.height) {
+            this.cropDrag = { mode: 'pan', offsetX: point.x - crop.x, offsetY: point.y - crop.y };
+        } else {
+            this.cropDrag = { mode: 'draw', startX: point.x, startY: point.y, moved: false };
+        }
+    }
+
+    moveCropDrag(e) {
+        if (!this.cropDrag) return;
+        const { source } = this.cropView;
+        const point = this.cropPointFromEvent(e);
+        
+        if (this.cropDrag.mode === 'pan') {
+            const crop = this.cropRect;
+            crop.x = Math.round(Math.max(0, Math.min(source.width - crop.width, point.x - this.cropDrag.offsetX)));
+            crop.y = Math.round(Math.max(0, Math.min(source.height - crop.height, point.y - this.cropDrag.offsetY)));
+        } else {
+            const { startX, startY } = this.cropDrag;
+            const leftward = point.x < startX;
+            const upward = point.y < startY;
+            // Room between the drag start and the image edge in the drag direction
+            const maxWidth = leftward ? startX : source.width - startX;
+            const maxHeight = upward ? startY : source.height - startY;
+            let width = Math.min(maxWidth, Math.abs(point.x - startX));
+            let height = Math.min(maxHeight, Math.abs(point.y - startY));
+            
+            // Fill mode crops to the target aspect anyway, so lock the rectangle to it. Both
+            // sides shrink together at the image edge so the ratio survives clamping.
+            if (document.getElementById('fitMode').value === 'fill') {
+                const target = this.getTargetDimensions(source);
+                const ratio = target.height / target.width;
+                width = Math.min(Math.abs(point.x - startX), maxWidth, maxHeight / ratio);
+                height = width * ratio;
+            }
+            
+            const left = Math.round(leftward ? startX - width : startX);
+            const top = Math.round(upward ? startY - height : startY);
+            this.cropRect = {
+                x: left,
+                y: top,
+                width: Math.min(source.width - left, Math.round(width)),
+                height: Math.min(source.height - top, Math.round(height))
+            };
+            this.cropDrag.moved = true;
+        }
+        this.drawCropView();
+    }
+
+    endCropDrag() {
+        if (!this.cropDrag) return;
+        const drag = this.cropDrag;
+        this.cropDrag = null;
+        
+        // A click outside the crop, or a drag too small to use, clears the crop
+        if ((drag.mode === 'draw' && !drag.moved) || (this.cropRect && (this.cropRect.width < 2 || this.cropRect.height < 2))) {
+            this.cropRect = null;
+        }
+        this.setCropRect(this.cropRect);
+    }
+
+    setCropRect(crop) {
+        this.cropRect = crop;
+        if (this.batchIndex >= 0) {
+            this.batchItems[this.batchIndex].crop = crop;
+        }
+        this.displayOriginalImage(this.originalImage);
+        this.updateLivePreview();
+    }
+
+    // Part of the (rotated) source used as input: the crop rectangle or the whole image
+    getSourceRegion(source, crop) {
+        if (crop) {
+            return { x: crop.x, y: crop.y, width: crop.width, height: crop.height };
+        }
+        return { x: 0, y: 0, width: source.width, height: source.height };
+    }
+
+    // Where the region lands in the target for each fit mode:
+    // stretch fills the target, fit letterboxes inside it, fill crops the region to the target aspect
+    getPlacement(region, width, height, fitMode) {
+        if (fitMode === 'fit') {
+            const scale = Math.min(width / region.width, height / region.height);
+            const drawWidth = Math.max(1, Math.round(region.width * scale));
+            const drawHeight = Math.max(1, Math.round(region.height * scale));
+            return {
+                source: region,
+                dest: { x: Math.floor((width - drawWidth) / 2), y: Math.floor((height - drawHeight) / 2), width: drawWidth, height: drawHeight }
+            };
+        }
+        
+        if (fitMode === 'fill') {
+            const scale = Math.max(width / region.width, height / region.height);
+            const sourceWidth = Math.min(region.width, width / scale);
+            const sourceHeight = Math.min(region.height, height / scale);
+            return {
+                source: {
+                    x: region.x + (region.width - sourceWidth) / 2,
+                    y: region.y + (region.height - sourceHeight) / 2,
+                    width: sourceWidth,
+                    height: sourceHeight
+                },
+                dest: { x: 0, y: 0, width, height }
+            };
+        }
+        
+        return { source: region, dest: { x: 0, y: 0, width, height } };
+    }
+
+    // Output size for a source (anything with width/height) - "keep original" uses the source size
+    getTargetDimensions(image = this.originalImage, settings = this.getSettings()) {
+        const resizeValue = settings.resize;
+        
+        if (!resizeValue) {
+            return { width: image.width, height: image.height };
+        }
         
-        const sobelX = [[-1, 0, 1], [-2, 0, 2], [-1, 0, 1]];
-        const sobelY = [[-1, -2, -1], [0, 0, 0], [1, 2, 1]];
+        if (resizeValue === 'custom') {
+            const customWidth = parseInt(settings.customWidth);
+            const customHeight = parseInt(settings.customHeight);
+            return { 
+                width: customWidth || image.width, 
+                height: customHeight || image.height 
+            };
+        }
+        
+        const [width, height] = resizeValue.split('x').map(Number);
+        return { width, height };
+    }
+
+    convertImage(isPreview = false) {
+        if (!this.originalImage) {
+            if (!isPreview) {
+                alert('Please upload an image first');
+            }
+            return;
+        }
+
+        this.applyConversionResult(this.processImage(this.originalImage, this.getSettings()));
+    }
+
+    // Show a pipeline result (from processImage or the preview worker) and regenerate the output
+    applyConversionResult({ width, height, data: binaryData, histograms, gray = null }) {
+        this.toneHistograms = histograms;
+        this.drawHistogram();
+        this.drawToneCurve();
+        
+        // Check if dimensions exceed display size (144x168) and show/hide warning
+        const sizeWarning = document.getElementById('sizeWarning');
+        if (width > 144 || height > 168) {
+            sizeWarning.style.display = 'block';
+        } else {
+            sizeWarning.style.display = 'none';
+        }
+        
+        this.processedImageData = {
+            width: width,
+            height: height,
+            data: binaryData,
+            gray: gray
+        };
+
+        this.displayProcessedImage();
+        this.generateHppOutput();
+    }
+
+    // Run the full conversion pipeline on an image with a settings snapshot (see getSettings)
+    processImage(image, settings, crop = this.cropRect) {
+        // Crop, fit and resample the rotated image to the final dimensions
+        return this.processTargetImage(this.renderTargetImage(image, settings, crop), settings);
+    }
+
+    // Tone mapping, edge detection, dithering and packing of an already rendered target image
+    processTargetImage(imageData, settings) {
+        const threshold = parseInt(settings.threshold);
+        const invert = settings.invert;
+        const edgeDetection = settings.edgeDetection;
+        const edgeOptions = {
+            operator: settings.edgeOperator || 'sobel',
+            sensitivity: parseInt(settings.edgeSensitivity) || 0,
+            sigma: parseFloat(settings.edgeSigma) || 1.4,
+            low: parseInt(settings.cannyLow) || 0,
+            high: parseInt(settings.cannyHigh) || 0,
+            thinning: !!settings.edgeThinning,
+            thickness: parseInt(settings.edgeThickness) || 1
+        };
+        const dithering = settings.dithering;
+        const grayBits = parseInt(settings.grayBits) || 1;
+        const ditherOptions = {
+            strength: parseInt(settings.ditherStrength) / 100,
+            serpentine: settings.serpentine,
+            levels: 1 << grayBits
+        };
+
+        const { width, height } = imageData;
+        
+        // Convert to grayscale, then map tones (brightness/contrast, levels and curve) in one lookup
+        imageData = this.convertToGrayscale(imageData);
+        const inputHistogram = this.computeHistogram(imageData);
+        imageData = this.applyToneLUT(imageData, this.buildToneLUT(settings));
+        const histograms = { input: inputHistogram, output: this.computeHistogram(imageData) };
+        
+        // Apply edge detection and dithering independently if both are selected
+        if (edgeDetection && dithering !== 'none') {
+            // Apply edge detection to a copy of the grayscale image
+            const edgeImageData = this.applyEdgeDetection(this.cloneImageData(imageData), edgeOptions);
+            
+            // Apply dithering to the original grayscale image
+            const ditheredImageData = this.applyDithering(this.cloneImageData(imageData), dithering, threshold, ditherOptions);
+            
+            // Combine edge detection and dithering results
+            imageData = this.combineEdgeAndDither(edgeImageData, ditheredImageData);
+        } else {
+            // Apply edge detection if selected (but not dithering)
+            if (edgeDetection) {
+                imageData = this.applyEdgeDetection(imageData, edgeOptions);
+            }
+            
+            // Apply dithering if selected (but not edge detection)
+            if (dithering !== 'none') {
+                imageData = this.applyDithering(imageData, dithering, threshold, ditherOptions);
+            }
+        }
+        
+        // Gray output keeps a level per pixel; its 1-bit data is the most significant plane
+        if (grayBits > 1) {
+            const gray = this.convertToGrayLevels(imageData, grayBits, invert);
+            return { width, height, data: ImageToHppConverter.grayPlanes(gray, width, height)[grayBits - 1], histograms, gray };
+        }
+
+        // Convert to binary
+        return { width, height, data: this.convertToBinary(imageData, threshold, invert), histograms };
+    }
+
+    // Scratch canvas for the pipeline; an OffscreenCanvas inside the preview worker
+    static createCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    // Rotate, crop and scale an image into target-sized RGBA ImageData according to the settings
+    renderTargetImage(image, settings, crop = null) {
+        const { rotate, width, height, placement } = this.getRenderGeometry(image, settings, crop);
+        
+        const canvas = ImageToHppConverter.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        
+        // Transparency is flattened onto white here, once, so histograms, thresholding, dithering
+        // and packing all see the same pixels. Letterbox bars use the chosen color.
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        if (settings.fitMode === 'fit' && settings.letterbox === 'black') {
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(0, 0, width, height);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(placement.dest.x, placement.dest.y, placement.dest.width, placement.dest.height);
+        }
+        
+        // Vector sources are drawn from their own rasterization at the exact output size
+        const svgRaster = image.svgSource ? this.getSvgRaster(image, settings, crop) : null;
+        if (svgRaster) {
+            ctx.drawImage(svgRaster, placement.dest.x, placement.dest.y);
+            return ctx.getImageData(0, 0, width, height);
+        }
+        
+        const source = rotate !== 0 ? this.rotateImage(image, rotate) : image;
+        const resized = this.resampleImage(source, placement.source, placement.dest.width, placement.dest.height, settings.resample);
+        const layer = ImageToHppConverter.createCanvas(resized.width, resized.height);
+        layer.getContext('2d').putImageData(resized, 0, 0);
+        ctx.drawImage(layer, placement.dest.x, placement.dest.y);
+        
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    // Output size and source/destination rectangles for an image, without rendering anything
+    getRenderGeometry(image, settings, crop = null) {
+        const rotate = parseInt(settings.rotate) || 0;
+        const quarterTurn = rotate === 90 || rotate === 270;
+        const rotatedSize = {
+            width: quarterTurn ? image.height : image.width,
+            height: quarterTurn ? image.width : image.height
+        };
+        const region = this.getSourceRegion(rotatedSize, crop);
+        const { width, height } = this.getTargetDimensions(region, settings);
+        const placement = this.getPlacement(region, width, height, settings.fitMode);
+        return { rotate, rotatedSize, width, height, placement };
+    }
+
+    // SVG input
+
+    // Build an <img> for SVG markup, keeping the markup and its geometry for re-rasterization
+    createSvgImage(text) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const root = doc.documentElement;
+        if (!root || root.nodeName !== 'svg' || doc.querySelector('parsererror')) {
+            return Promise.reject(new Error('The file is not a valid SVG image.'));
+        }
+
+        const viewBoxValues = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+        const viewBox = viewBoxValues.length === 4 && viewBoxValues.every(v => !isNaN(v)) && viewBoxValues[2] > 0 && viewBoxValues[3] > 0
+            ? { x: viewBoxValues[0], y: viewBoxValues[1], width: viewBoxValues[2], height: viewBoxValues[3] }
+            : null;
+
+        // Percentages and missing sizes fall back to the viewBox, then the SVG default of 300x150
+        const length = (value) => (value && !value.trim().endsWith('%') ? parseFloat(value) : NaN);
+        let width = length(root.getAttribute('width'));
+        let height = length(root.getAttribute('height'));
+        if (!(width > 0)) width = viewBox ? (height > 0 ? height * viewBox.width / viewBox.height : viewBox.width) : 300;
+        if (!(height > 0)) height = viewBox ? width * viewBox.height / viewBox.width : 150;
+        width = Math.max(1, Math.round(width));
+        height = Math.max(1, Math.round(height));
+
+        root.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        root.setAttribute('width', width);
+        root.setAttribute('height', height);
+        const markup = new XMLSerializer().serializeToString(doc);
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                img.svgSource = { text: markup, width, height, viewBox, raster: null, pendingKey: null };
+                resolve(img);
+            };
+            img.onerror = () => reject(new Error('The SVG image could not be rendered.'));
+            img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+        });
+    }
+
+    // Rewrite the SVG so its own viewport is the destination rectangle in device pixels.
+    // Non-scaling strokes and rendering hints then apply to real output pixels.
+    buildSvgMarkup(image, settings, crop) {
+        const { text, width, height, viewBox } = image.svgSource;
+        const { rotate, rotatedSize, placement } = this.getRenderGeometry(image, settings, crop);
+        const { source, dest } = placement;
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const root = doc.documentElement;
+        const ns = 'http://www.w3.org/2000/svg';
+
+        // User units -> intrinsic pixels, honouring preserveAspectRatio="none" or the default centred "meet"
+        let userMatrix = new DOMMatrix();
+        if (viewBox) {
+            let scaleX = width / viewBox.width;
+            let scaleY = height / viewBox.height;
+            let offsetX = 0;
+            let offsetY = 0;
+            if (!(root.getAttribute('preserveAspectRatio') || '').trim().startsWith('none')) {
+                const scale = Math.min(scaleX, scaleY);
+                offsetX = (width - viewBox.width * scale) / 2;
+                offsetY = (height - viewBox.height * scale) / 2;
+                scaleX = scaleY = scale;
+            }
+            userMatrix = userMatrix.translate(offsetX, offsetY).scale(scaleX, scaleY).translate(-viewBox.x, -viewBox.y);
+        }
+
+        // Intrinsic pixels -> rotated image -> crop region -> destination pixels
+        const scaleX = dest.width / source.width;
+        const scaleY = dest.height / source.height;
+        let matrix = new DOMMatrix()
+            .translate(-source.x * scaleX, -source.y * scaleY)
+            .scale(scaleX, scaleY)
+            .translate(rotatedSize.width / 2, rotatedSize.height / 2)
+            .rotate(rotate)
+            .translate(-width / 2, -height / 2)
+            .multiply(userMatrix);
+        const strokeWidth = parseFloat(settings.svgStrokeWidth) || 0;
+        if (settings.svgSnap) {
+            const bounds = viewBox || { x: 0, y: 0, width, height };
+            matrix = ImageToHppConverter.snapSvgMatrix(matrix, bounds, strokeWidth % 2 === 1 ? 0.5 : 0);
+        }
+        const transform = `matrix(${matrix.a} ${matrix.b} ${matrix.c} ${matrix.d} ${matrix.e} ${matrix.f})`;
+
+        const group = doc.createElementNS(ns, 'g');
+        group.setAttribute('transform', transform);
+        while (root.firstChild) {
+            group.appendChild(root.firstChild);
+        }
+        root.appendChild(group);
+        root.setAttribute('width', dest.width);
+        root.setAttribute('height', dest.height);
+        root.setAttribute('viewBox', `0 0 ${dest.width} ${dest.height}`);
+        root.setAttribute('preserveAspectRatio', 'none');
+
+        const rules = [];
+        if (strokeWidth > 0) {
+            rules.push(`* { stroke-width: ${strokeWidth}px !important; vector-effect: non-scaling-stroke !important; }`);
+        }
+        if (settings.svgHinting) {
+            rules.push('* { shape-rendering: crispEdges !important; }');
+        }
+        if (rules.length > 0) {
+            const style = doc.createElementNS(ns, 'style');
+            style.textContent = rules.join('\n');
+            root.insertBefore(style, group);
+        }
+
+        return { markup: new XMLSerializer().serializeToString(doc), width: dest.width, height: dest.height };
+    }
+
+    // Snap the user-units -> device-pixels matrix (axis aligned, as rotation is in quarter turns)
+    // so SVG units map to whole pixels: each unit spans a whole number of pixels, or a whole
+    // number of units spans one pixel when scaling down. The scale is rounded down so the content
+    // never outgrows its destination; it stays centred where it was, with the user-space origin
+    // on a pixel corner plus `strokeOffset` (half a pixel centres odd-width strokes on pixels).
+    static snapSvgMatrix(matrix, bounds, strokeOffset = 0) {
+        const snap = (value) => {
+            const size = Math.abs(value);
+            if (size < 1e-9) return 0;
+            return Math.sign(value) * (size >= 1 ? Math.floor(size + 1e-9) : 1 / Math.ceil(1 / size - 1e-9));
+        };
+        const center = new DOMPoint(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+        const target = center.matrixTransform(matrix);
+
+        const snapped = new DOMMatrix([snap(matrix.a), snap(matrix.b), snap(matrix.c), snap(matrix.d), 0, 0]);
+        const moved = center.matrixTransform(snapped);
+        snapped.e = Math.round(target.x - moved.x) + strokeOffset;
+        snapped.f = Math.round(target.y - moved.y) + strokeOffset;
+        return snapped;
+    }
+
+    // Cached rasterization for the current settings, or null while it is being rendered.
+    // SVG images decode asynchronously, so a finished render refreshes the preview.
+    getSvgRaster(image, settings, crop) {
+        const svg = image.svgSource;
+        const request = this.buildSvgMarkup(image, settings, crop);
+        if (svg.raster && svg.raster.key === request.markup) {
+            return svg.raster.canvas;
+        }
+
+        if (svg.pendingKey !== request.markup) {
+            this.renderSvg(image, request).then(() => {
+                if (image === this.originalImage) this.updateLivePreview();
+            }).catch(err => console.warn(err.message));
+        }
+        return null;
+    }
+
+    // Make sure the raster for these settings exists (used before synchronous batch export)
+    async prepareSvgRaster(image, settings, crop) {
+        if (!image.svgSource) return;
+        const request = this.buildSvgMarkup(image, settings, crop);
+        if (!image.svgSource.raster || image.svgSource.raster.key !== request.markup) {
+            await this.renderSvg(image, request);
+        }
+    }
+
+    renderSvg(image, request) {
+        const svg = image.svgSource;
+        svg.pendingKey = request.markup;
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = request.width;
+                canvas.height = request.height;
+                canvas.getContext('2d').drawImage(img, 0, 0, request.width, request.height);
+                svg.raster = { key: request.markup, canvas };
+                if (svg.pendingKey === request.markup) svg.pendingKey = null;
+                resolve(canvas);
+            };
+            img.onerror = () => {
+                if (svg.pendingKey === request.markup) svg.pendingKey = null;
+                reject(new Error('SVG rasterization failed'));
+            };
+            img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(request.markup);
+        });
+    }
+
+    // Scale a rectangle of the source to destWidth x destHeight with the chosen filter
+    resampleImage(source, rect, destWidth, destHeight, filter = 'browser') {
+        const canvas = ImageToHppConverter.createCanvas(1, 1);
+        const ctx = canvas.getContext('2d');
+        
+        // Browser scaling (the converter's original behavior) and nearest neighbor are single draws
+        if (filter === 'browser' || filter === 'nearest') {
+            canvas.width = destWidth;
+            canvas.height = destHeight;
+            ctx.imageSmoothingEnabled = filter === 'browser';
+            ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, destWidth, destHeight);
+            return ctx.getImageData(0, 0, destWidth, destHeight);
+        }
+        
+        // Very large reductions are first brought to 4x the target by the browser so the
+        // filter below stays fast enough for live preview
+        let srcWidth = Math.max(1, Math.round(rect.width));
+        let srcHeight = Math.max(1, Math.round(rect.height));
+        const reduceX = srcWidth > destWidth * 4 ? destWidth * 4 : srcWidth;
+        const reduceY = srcHeight > destHeight * 4 ? destHeight * 4 : srcHeight;
+        canvas.width = reduceX;
+        canvas.height = reduceY;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, reduceX, reduceY);
+        const input = ctx.getImageData(0, 0, reduceX, reduceY);
+        
+        return this.resampleSeparable(input, destWidth, destHeight, filter);
+    }
+
+    static RESAMPLE_FILTERS = {
+        // Box filter: each output pixel averages the input area it covers
+        area: { support: 0.5, kernel: x => (x > -0.5 && x <= 0.5 ? 1 : 0) },
+        bilinear: { support: 1, kernel: x => Math.max(0, 1 - Math.abs(x)) },
+        lanczos: {
+            support: 3,
+            kernel: x => {
+                if (x === 0) return 1;
+                if (Math.abs(x) >= 3) return 0;
+                const px = Math.PI * x;
+                return 3 * Math.sin(px) * Math.sin(px / 3) / (px * px);
+            }
+        }
+    };
+
+    // Two-pass (horizontal then vertical) convolution resampler. The kernel widens when
+    // downscaling so every input pixel contributes, as in common image libraries.
+    resampleSeparable(input, destWidth, destHeight, filterName) {
+        const filter = ImageToHppConverter.RESAMPLE_FILTERS[filterName] || ImageToHppConverter.RESAMPLE_FILTERS.bilinear;
+        
+        const buildWeights = (srcSize, destSize) => {
+            const scale = srcSize / destSize;
+            const filterScale = Math.max(1, scale);
+            const support = filter.support * filterScale;
+            const taps = [];
+            
+            for (let i = 0; i < destSize; i++) {
+                const center = (i + 0.5) * scale;
+                const start = Math.max(0, Math.floor(center - support));
+                const end = Math.min(srcSize - 1, Math.ceil(center + support));
+                const weights = [];
+                let total = 0;
+                for (let j = start; j <= end; j++) {
+                    const weight = filter.kernel((j + 0.5 - center) / filterScale);
+                    weights.push(weight);
+                    total += weight;
+                }
+                // Normalise; fall back to the nearest pixel if the kernel missed every sample
+                if (total === 0) {
+                    taps.push({ start: Math.min(srcSize - 1, Math.floor(center)), weights: [1] });
+                } else {
+                    taps.push({ start, weights: weights.map(w => w / total) });
+                }
+            }
+            return taps;
+        };
         
-        // Use edge sensitivity slider for Sobel threshold
-        const edgeSensitivity = parseInt(document.getElementById('edgeSensitivity').value) || 0;
-        const sobelThreshold = (edgeSensitivity + 100) * 2; // Maps -100 to 100 -> 0 to 400
+        const srcWidth = input.width;
+        const srcHeight = input.height;
+        const src = input.data;
+        
+        // Horizontal pass into a float buffer of destWidth x srcHeight
+        const horizontalTaps = buildWeights(srcWidth, destWidth);
+        const temp = new Float32Array(destWidth * srcHeight * 4);
+        for (let y = 0; y < srcHeight; y++) {
+            for (let x = 0; x < destWidth; x++) {
+                const { start, weights } = horizontalTaps[x];
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    const idx = (y * srcWidth + start + k) * 4;
+                    const w = weights[k];
+                    r += src[idx] * w;
+                    g += src[idx + 1] * w;
+                    b += src[idx + 2] * w;
+                    a += src[idx + 3] * w;
+                }
+                const out = (y * destWidth + x) * 4;
+                temp[out] = r;
+                temp[out + 1] = g;
+                temp[out + 2] = b;
+                temp[out + 3] = a;
+            }
+        }
+        
+        // Vertical pass into the output
+        const verticalTaps = buildWeights(srcHeight, destHeight);
+        const output = new ImageData(destWidth, destHeight);
+        const dest = output.data;
+        for (let y = 0; y < destHeight; y++) {
+            const { start, weights } = verticalTaps[y];
+            for (let x = 0; x < destWidth; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    const idx = ((start + k) * destWidth + x) * 4;
+                    const w = weights[k];
+                    r += temp[idx] * w;
+                    g += temp[idx + 1] * w;
+                    b += temp[idx + 2] * w;
+                    a += temp[idx + 3] * w;
+                }
+                const out = (y * destWidth + x) * 4;
+                dest[out] = r;          // Uint8ClampedArray rounds and clamps Lanczos overshoot
+                dest[out + 1] = g;
+                dest[out + 2] = b;
+                dest[out + 3] = a;
+            }
+        }
         
+        return output;
+    }
+
+    // Edge detection
+
+    updateEdgeOptions() {
+        const operator = document.getElementById('edgeOperator').value;
+        document.getElementById('edgeSensitivityRow').style.display = operator === 'canny' ? 'none' : '';
+        document.getElementById('edgeSigmaRow').style.display = operator === 'log' || operator === 'canny' ? '' : 'none';
+        document.getElementById('cannyThresholdRow').style.display = operator === 'canny' ? '' : 'none';
+    }
+
+    updateEdgeLabels() {
+        document.getElementById('edgeSigmaValue').textContent = parseFloat(document.getElementById('edgeSigma').value).toFixed(1);
+        document.getElementById('cannyLowValue').textContent = document.getElementById('cannyLow').value;
+        document.getElementById('cannyHighValue').textContent = document.getElementById('cannyHigh').value;
+        document.getElementById('edgeThicknessValue').textContent = document.getElementById('edgeThickness').value + 'px';
+    }
+
+    static GRADIENT_KERNELS = {
+        // Kernels and their gain, so a full black-to-white step measures about 255 with either
+        sobel: { x: [-1, 0, 1, -2, 0, 2, -1, 0, 1], y: [-1, -2, -1, 0, 0, 0, 1, 2, 1], gain: 4 },
+        scharr: { x: [-3, 0, 3, -10, 0, 10, -3, 0, 3], y: [-3, -10, -3, 0, 0, 0, 3, 10, 3], gain: 16 }
+    };
+
+    // Line art from a grayscale image: black edges on white. Sobel and Scharr threshold the
+    // gradient, Laplacian of Gaussian marks zero crossings and Canny traces thin edges with
+    // hysteresis; the result can then be thinned to 1-pixel lines and thickened again.
+    applyEdgeDetection(imageData, options = {}) {
+        const { width, height, data } = imageData;
+        const { operator = 'sobel', sensitivity = 0, sigma = 1.4, low = 20, high = 50, thinning = false, thickness = 1 } = options;
+
+        const gray = new Float32Array(width * height);
+        for (let i = 0; i < gray.length; i++) gray[i] = data[i * 4];
+
+        // Sensitivity maps -100..100 to a gradient threshold of 0..100
+        const threshold = (sensitivity + 100) / 2;
+        let edges;
+        if (operator === 'canny') {
+            edges = this.cannyEdges(gray, width, height, sigma, Math.min(low, high), Math.max(low, high));
+        } else if (operator === 'log') {
+            edges = this.laplacianOfGaussianEdges(gray, width, height, sigma, threshold);
+        } else {
+            const { magnitude } = this.computeGradient(gray, width, height, ImageToHppConverter.GRADIENT_KERNELS[operator] || ImageToHppConverter.GRADIENT_KERNELS.sobel);
+            edges = new Uint8Array(width * height);
+            for (let i = 0; i < edges.length; i++) edges[i] = magnitude[i] > threshold ? 1 : 0;
+        }
+
+        if (thinning) this.thinEdges(edges, width, height);
+        if (thickness > 1) edges = this.dilateEdges(edges, width, height, thickness);
+
+        const output = new Uint8ClampedArray(data.length);
+        for (let i = 0; i < edges.length; i++) {
+            const value = edges[i] ? 0 : 255;
+            output[i * 4] = value;
+            output[i * 4 + 1] = value;
+            output[i * 4 + 2] = value;
+            output[i * 4 + 3] = 255;
+        }
+        return new ImageData(output, width, height);
+    }
+
+    // Gradient magnitude (normalised by the kernel gain) and direction; border pixels stay 0
+    computeGradient(gray, width, height, kernel) {
+        const magnitude = new Float32Array(width * height);
+        const direction = new Float32Array(width * height);
+
         for (let y = 1; y < height - 1; y++) {
             for (let x = 1; x < width - 1; x++) {
                 let gx = 0, gy = 0;
-                
-                for (let ky = -1; ky <= 1; ky++) {
-                    for (let kx = -1; kx <= 1; kx++) {
-                        const idx = ((y + ky) * width + (x + kx)) * 4;
-                        const pixel = data[idx];
-                        
-                        gx += pixel * sobelX[ky + 1][kx + 1];
-                        gy += pixel * sobelY[ky + 1][kx + 1];
+                for (let ky = -1, k = 0; ky <= 1; ky++) {
+                    for (let kx = -1; kx <= 1; kx++, k++) {
+                        const pixel = gray[(y + ky) * width + x + kx];
+                        gx += pixel * kernel.x[k];
+                        gy += pixel * kernel.y[k];
                     }
                 }
-                
-                const magnitude = Math.sqrt(gx * gx + gy * gy);
-                let edgeValue;
-                
-                const idx = (y * width + x) * 4;
+                const i = y * width + x;
+                magnitude[i] = Math.sqrt(gx * gx + gy * gy) / kernel.gain;
+                direction[i] = Math.atan2(gy, gx);
+            }
+        }
 
-                if (willDither) {
-                    // When dithering will be applied, output grayscale intensity
-                    const scaledMagnitude = magnitude * (1 + edgeSensitivity / 100);
-                    edgeValue = 255 - Math.min(255, Math.max(0, scaledMagnitude / 5.7));
-                } else {
-                    // Normal binary edge detection when no dithering
-                    if (magnitude > sobelThreshold) {
-                        edgeValue = 0; // Black (edge detected)
-                    } else {
-                        edgeValue = 255; // White (no edge)
+        return { magnitude, direction };
+    }
+
+    // Separable Gaussian blur with clamped edges
+    gaussianBlur(gray, width, height, sigma) {
+        const radius = Math.max(1, Math.ceil(sigma * 3));
+        const kernel = new Float32Array(radius * 2 + 1);
+        let total = 0;
+        for (let i = -radius; i <= radius; i++) {
+            kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+            total += kernel[i + radius];
+        }
+        for (let i = 0; i < kernel.length; i++) kernel[i] /= total;
+
+        const temp = new Float32Array(gray.length);
+        const output = new Float32Array(gray.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    sum += gray[y * width + Math.min(width - 1, Math.max(0, x + k))] * kernel[k + radius];
+                }
+                temp[y * width + x] = sum;
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    sum += temp[Math.min(height - 1, Math.max(0, y + k)) * width + x] * kernel[k + radius];
+                }
+                output[y * width + x] = sum;
+            }
+        }
+        return output;
+    }
+
+    // Zero crossings of the Laplacian of the blurred image. The crossing strength is scaled by
+    // sigma so the same threshold suits any amount of smoothing.
+    laplacianOfGaussianEdges(gray, width, height, sigma, threshold) {
+        const blurred = this.gaussianBlur(gray, width, height, sigma);
+        const laplacian = new Float32Array(width * height);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                laplacian[i] = blurred[i - 1] + blurred[i + 1] + blurred[i - width] + blurred[i + width] - 4 * blurred[i];
+            }
+        }
+
+        const edges = new Uint8Array(width * height);
+        const scale = sigma * 2;
+        for (let y = 1; y < height - 2; y++) {
+            for (let x = 1; x < width - 2; x++) {
+                const i = y * width + x;
+                // Mark the side of each sign change closer to zero, so lines stay one pixel wide
+                [i + 1, i + width].forEach(j => {
+                    if ((laplacian[i] < 0) === (laplacian[j] < 0)) return;
+                    if (Math.abs(laplacian[i] - laplacian[j]) * scale <= threshold) return;
+                    edges[Math.abs(laplacian[i]) <= Math.abs(laplacian[j]) ? i : j] = 1;
+                });
+            }
+        }
+        return edges;
+    }
+
+    // Canny: smoothed gradient, non-maximum suppression along the gradient direction, then
+    // hysteresis - pixels above high are edges, pixels above low join when connected to one
+    cannyEdges(gray, width, height, sigma, low, high) {
+        const blurred = this.gaussianBlur(gray, width, height, sigma);
+        const { magnitude, direction } = this.computeGradient(blurred, width, height, ImageToHppConverter.GRADIENT_KERNELS.sobel);
+
+        const suppressed = new Float32Array(width * height);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const m = magnitude[i];
+                if (m === 0) continue;
+
+                // Quantise the direction to one of four neighbour pairs
+                const angle = ((direction[i] * 180 / Math.PI) + 180) % 180;
+                let offset;
+                if (angle < 22.5 || angle >= 157.5) offset = 1;
+                else if (angle < 67.5) offset = width + 1;
+                else if (angle < 112.5) offset = width;
+                else offset = width - 1;
+
+                if (m >= magnitude[i - offset] && m >= magnitude[i + offset]) suppressed[i] = m;
+            }
+        }
+
+        const edges = new Uint8Array(width * height);
+        const stack = [];
+        for (let i = 0; i < suppressed.length; i++) {
+            if (suppressed[i] > high && !edges[i]) {
+                edges[i] = 1;
+                stack.push(i);
+            }
+            while (stack.length > 0) {
+                const j = stack.pop();
+                const x = j % width;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const n = j + dy * width + dx;
+                        if (x + dx < 0 || x + dx >= width || n < 0 || n >= suppressed.length) continue;
+                        if (!edges[n] && suppressed[n] > low) {
+                            edges[n] = 1;
+                            stack.push(n);
+                        }
                     }
                 }
+            }
+        }
+        return edges;
+    }
+
+    // Zhang-Suen thinning, in place: peel boundary pixels until every line is one pixel wide
+    thinEdges(edges, width, height) {
+        const at = (x, y) => (x >= 0 && y >= 0 && x < width && y < height ? edges[y * width + x] : 0);
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            for (let pass = 0; pass < 2; pass++) {
+                const remove = [];
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        if (!edges[y * width + x]) continue;
 
-                output[idx] = edgeValue;
-                output[idx + 1] = edgeValue;
-                output[idx + 2] = edgeValue;
-                output[idx + 3] = 255;
+                        // Neighbours P2..P9, clockwise from north
+                        const p = [at(x, y - 1), at(x + 1, y - 1), at(x + 1, y), at(x + 1, y + 1),
+                            at(x, y + 1), at(x - 1, y + 1), at(x - 1, y), at(x - 1, y - 1)];
+                        const count = p.reduce((sum, v) => sum + v, 0);
+                        if (count < 2 || count > 6) continue;
+
+                        let transitions = 0;
+                        for (let k = 0; k < 8; k++) {
+                            if (!p[k] && p[(k + 1) % 8]) transitions++;
+                        }
+                        if (transitions !== 1) continue;
+
+                        if (pass === 0 ? (p[0] && p[2] && p[4]) || (p[2] && p[4] && p[6])
+                            : (p[0] && p[2] && p[6]) || (p[0] && p[4] && p[6])) continue;
+
+                        remove.push(y * width + x);
+                    }
+                }
+                remove.forEach(i => { edges[i] = 0; });
+                if (remove.length > 0) changed = true;
             }
         }
-        
-        // Handle border pixels - set them to white (no edge detected)
+    }
+
+    // Thicken lines with a round brush of the given diameter
+    dilateEdges(edges, width, height, thickness) {
+        const output = new Uint8Array(edges.length);
+        const before = Math.floor((thickness - 1) / 2);
+        const after = thickness - 1 - before;
+        const radius = (thickness - 1) / 2;
+        const center = (after - before) / 2;
+        const offsets = [];
+        for (let dy = -before; dy <= after; dy++) {
+            for (let dx = -before; dx <= after; dx++) {
+                if ((dx - center) ** 2 + (dy - center) ** 2 <= radius * radius + 0.5) offsets.push([dx, dy]);
+            }
+        }
+
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
-                if (y === 0 || y === height - 1 || x === 0 || x === width - 1) {
-                    const idx = (y * width + x) * 4;
-                    output[idx] = 255; // White (no edge)
-                    output[idx + 1] = 255;
-                    output[idx + 2] = 255;
-                    output[idx + 3] = 255;
-                }
+                if (!edges[y * width + x]) continue;
+                offsets.forEach(([dx, dy]) => {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx >= 0 && ny >= 0 && nx < width && ny < height) output[ny * width + nx] = 1;
+                });
             }
         }
-    
-        return new ImageData(output, width, height);
+        return output;
     }
 
     cloneImageData(imageData) {
@@ -409,7 +2276,7 @@ class ImageToHppConverter {
     rotateImage(image, angle) {
         if (angle === 0) return image;
         
-        const canvas = document.createElement('canvas');
+        const canvas = ImageToHppConverter.createCanvas(image.width, image.height);
         const ctx = canvas.getContext('2d');
         
         // Set canvas dimensions based on rotation
@@ -480,30 +2347,285 @@ class ImageToHppConverter {
         return new ImageData(newData, newWidth, newHeight);
     }
 
-    adjustBrightnessContrast(imageData, brightness, contrast) {
-        const data = new Uint8ClampedArray(imageData.data);
+    // Tone curve control points are stored in a hidden input as "x:y,x:y,..." (0-255)
+    static parseToneCurve(value) {
+        const points = String(value || '').split(',')
+            .map(pair => pair.split(':').map(Number))
+            .filter(([x, y]) => !isNaN(x) && !isNaN(y))
+            .map(([x, y]) => ({ x: Math.max(0, Math.min(255, Math.round(x))), y: Math.max(0, Math.min(255, Math.round(y))) }))
+            .sort((a, b) => a.x - b.x)
+            .filter((point, index, all) => index === 0 || point.x !== all[index - 1].x);
+
+        // The curve always spans the full input range
+        if (points.length === 0 || points[0].x !== 0) points.unshift({ x: 0, y: 0 });
+        if (points[points.length - 1].x !== 255) points.push({ x: 255, y: 255 });
+        return points;
+    }
+
+    static formatToneCurve(points) {
+        return points.map(point => `${point.x}:${point.y}`).join(',');
+    }
+
+    // Monotone cubic (Fritsch-Carlson) interpolation, so the curve never overshoots between points
+    static evaluateToneCurve(points) {
+        const n = points.length;
+        const curve = new Float32Array(256);
+        const slopes = [];
+        for (let i = 0; i < n - 1; i++) {
+            slopes.push((points[i + 1].y - points[i].y) / (points[i + 1].x - points[i].x));
+        }
+
+        const tangents = points.map((point, i) => {
+            if (i === 0) return slopes[0];
+            if (i === n - 1) return slopes[n - 2];
+            if (slopes[i - 1] * slopes[i] <= 0) return 0;
+            return (slopes[i - 1] + slopes[i]) / 2;
+        });
+        for (let i = 0; i < n - 1; i++) {
+            if (slopes[i] === 0) {
+                tangents[i] = tangents[i + 1] = 0;
+                continue;
+            }
+            const a = tangents[i] / slopes[i];
+            const b = tangents[i + 1] / slopes[i];
+            const length = a * a + b * b;
+            if (length > 9) {
+                const scale = 3 / Math.sqrt(length);
+                tangents[i] = scale * a * slopes[i];
+                tangents[i + 1] = scale * b * slopes[i];
+            }
+        }
+
+        let segment = 0;
+        for (let x = 0; x < 256; x++) {
+            while (segment < n - 2 && x > points[segment + 1].x) segment++;
+            const p0 = points[segment];
+            const p1 = points[segment + 1];
+            const h = p1.x - p0.x;
+            const t = (x - p0.x) / h;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            curve[x] = (2 * t3 - 3 * t2 + 1) * p0.y + (t3 - 2 * t2 + t) * h * tangents[segment] +
+                (-2 * t3 + 3 * t2) * p1.y + (t3 - t2) * h * tangents[segment + 1];
+        }
+        return curve;
+    }
+
+    // 256-entry lookup combining brightness/contrast, levels (black, white, gamma) and the tone curve
+    buildToneLUT(settings) {
+        const brightness = parseInt(settings.brightness) || 0;
+        const contrast = parseInt(settings.contrast) || 0;
         const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
-        
+        const black = parseInt(settings.levelsBlack) || 0;
+        const white = Math.max(black + 1, parseInt(settings.levelsWhite) || 255);
+        const gamma = parseFloat(settings.levelsGamma) || 1;
+        const curve = ImageToHppConverter.evaluateToneCurve(ImageToHppConverter.parseToneCurve(settings.toneCurve));
+
+        const lut = new Uint8ClampedArray(256);
+        for (let value = 0; value < 256; value++) {
+            // Brightness and contrast
+            let v = contrastFactor * (value + brightness - 128) + 128;
+            v = Math.max(0, Math.min(255, v));
+
+            // Levels: map [black, white] to [0, 255] with gamma on the midtones
+            v = Math.max(0, Math.min(1, (v - black) / (white - black)));
+            v = Math.pow(v, 1 / gamma) * 255;
+
+            // Curve (linear interpolation between integer entries)
+            const low = Math.floor(v);
+            const high = Math.min(255, low + 1);
+            lut[value] = curve[low] + (curve[high] - curve[low]) * (v - low);
+        }
+        return lut;
+    }
+
+    applyToneLUT(imageData, lut) {
+        const data = new Uint8ClampedArray(imageData.data);
         for (let i = 0; i < data.length; i += 4) {
-            // Apply brightness
-            let r = data[i] + brightness;
-            let g = data[i + 1] + brightness;
-            let b = data[i + 2] + brightness;
-            
-            // Apply contrast
-            r = contrastFactor * (r - 128) + 128;
-            g = contrastFactor * (g - 128) + 128;
-            b = contrastFactor * (b - 128) + 128;
-            
-            // Clamp values
-            data[i] = Math.max(0, Math.min(255, r));
-            data[i + 1] = Math.max(0, Math.min(255, g));
-            data[i + 2] = Math.max(0, Math.min(255, b));
+            const value = lut[data[i]];
+            data[i] = value;
+            data[i + 1] = value;
+            data[i + 2] = value;
         }
-        
         return new ImageData(data, imageData.width, imageData.height);
     }
 
+    computeHistogram(imageData) {
+        const histogram = new Uint32Array(256);
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            histogram[data[i]]++;
+        }
+        return histogram;
+    }
+
+    // Output histogram with the threshold marked, so the black/white split is visible
+    drawHistogram() {
+        const canvas = document.getElementById('histogramCanvas');
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.toneHistograms) return;
+
+        const threshold = parseInt(document.getElementById('threshold').value);
+        const histogram = this.toneHistograms.output;
+        const peak = Math.max(1, ...histogram);
+        const barWidth = canvas.width / 256;
+
+        for (let i = 0; i < 256; i++) {
+            const barHeight = Math.sqrt(histogram[i] / peak) * canvas.height; // sqrt keeps small bins visible
+            ctx.fillStyle = i < threshold ? '#2c3e50' : '#95a5a6';
+            ctx.fillRect(i * barWidth, canvas.height - barHeight, Math.ceil(barWidth), barHeight);
+        }
+
+        ctx.strokeStyle = '#e74c3c';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(threshold * barWidth, 0);
+        ctx.lineTo(threshold * barWidth, canvas.height);
+        ctx.stroke();
+
+        let below = 0;
+        for (let i = 0; i < threshold; i++) below += histogram[i];
+        const total = histogram.reduce((sum, count) => sum + count, 0);
+        document.getElementById('histogramInfo').textContent = total > 0
+            ? `${Math.round(below / total * 100)}% below threshold (black before dithering/invert)`
+            : '';
+    }
+
+    // Tone curve editor: input histogram in the background, curve and its control points on top
+    drawToneCurve() {
+        const canvas = document.getElementById('toneCurveCanvas');
+        const ctx = canvas.getContext('2d');
+        const size = canvas.width;
+        const scale = size / 255;
+        ctx.clearRect(0, 0, size, size);
+
+        if (this.toneHistograms) {
+            const histogram = this.toneHistograms.input;
+            const peak = Math.max(1, ...histogram);
+            ctx.fillStyle = 'rgba(149, 165, 166, 0.4)';
+            for (let i = 0; i < 256; i++) {
+                const barHeight = Math.sqrt(histogram[i] / peak) * size;
+                ctx.fillRect(i * scale, size - barHeight, Math.ceil(scale), barHeight);
+            }
+        }
+
+        // Grid and identity diagonal
+        ctx.strokeStyle = '#ecf0f1';
+        ctx.lineWidth = 1;
+        for (let i = 1; i < 4; i++) {
+            ctx.beginPath();
+            ctx.moveTo(i * size / 4, 0);
+            ctx.lineTo(i * size / 4, size);
+            ctx.moveTo(0, i * size / 4);
+            ctx.lineTo(size, i * size / 4);
+            ctx.stroke();
+        }
+        ctx.strokeStyle = '#bdc3c7';
+        ctx.beginPath();
+        ctx.moveTo(0, size);
+        ctx.lineTo(size, 0);
+        ctx.stroke();
+
+        // Full tone response (brightness/contrast and levels included)
+        const lut = this.buildToneLUT(this.getSettings());
+        ctx.strokeStyle = '#3498db';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let x = 0; x < 256; x++) {
+            const y = size - lut[x] * scale;
+            if (x === 0) ctx.moveTo(0, y);
+            else ctx.lineTo(x * scale, y);
+        }
+        ctx.stroke();
+
+        // Control points live in curve space, which is applied after levels
+        ctx.fillStyle = '#e67e22';
+        this.getCurvePoints().forEach(point => {
+            ctx.fillRect(point.x * scale - 4, size - point.y * scale - 4, 8, 8);
+        });
+    }
+
+    getCurvePoints() {
+        return ImageToHppConverter.parseToneCurve(document.getElementById('toneCurve').value);
+    }
+
+    setCurvePoints(points) {
+        document.getElementById('toneCurve').value = ImageToHppConverter.formatToneCurve(points);
+        this.drawToneCurve();
+        this.updateLivePreview();
+    }
+
+    curvePointFromEvent(e) {
+        const canvas = document.getElementById('toneCurveCanvas');
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: Math.max(0, Math.min(255, Math.round((e.clientX - rect.left) / rect.width * 255))),
+            y: Math.max(0, Math.min(255, Math.round((1 - (e.clientY - rect.top) / rect.height) * 255)))
+        };
+    }
+
+    findCurvePoint(points, position) {
+        return points.findIndex(point => Math.abs(point.x - position.x) <= 8 && Math.abs(point.y - position.y) <= 8);
+    }
+
+    startCurveDrag(e) {
+        e.preventDefault();
+        const position = this.curvePointFromEvent(e);
+        const points = this.getCurvePoints();
+        let index = this.findCurvePoint(points, position);
+
+        // Clicking away from a point adds one there (or grabs the point already at that input level)
+        if (index < 0) {
+            index = points.findIndex(point => point.x === position.x);
+        }
+        if (index < 0) {
+            points.push(position);
+            points.sort((a, b) => a.x - b.x);
+            index = points.indexOf(position);
+            this.setCurvePoints(points);
+        }
+        this.curveDragIndex = index;
+    }
+
+    moveCurveDrag(e) {
+        if (this.curveDragIndex < 0) return;
+        const position = this.curvePointFromEvent(e);
+        const points = this.getCurvePoints();
+        const index = this.curveDragIndex;
+        const point = points[index];
+        if (!point) return;
+
+        // End points stay at the edges; inner points stay between their neighbours
+        if (index > 0 && index < points.length - 1) {
+            point.x = Math.max(points[index - 1].x + 1, Math.min(points[index + 1].x - 1, position.x));
+        }
+        point.y = position.y;
+        this.setCurvePoints(points);
+    }
+
+    removeCurvePoint(e) {
+        const points = this.getCurvePoints();
+        const index = this.findCurvePoint(points, this.curvePointFromEvent(e));
+        if (index > 0 && index < points.length - 1) {
+            points.splice(index, 1);
+            this.setCurvePoints(points);
+        }
+    }
+
+    resetTone() {
+        this.applySettings({
+            brightness: '0',
+            contrast: '0',
+            levelsBlack: '0',
+            levelsWhite: '255',
+            levelsGamma: '1',
+            toneCurve: '0:0,255:255'
+        });
+        this.drawToneCurve();
+        this.updateLivePreview();
+    }
+
     convertToGrayscale(imageData) {
         const data = new Uint8ClampedArray(imageData.data);
         
@@ -518,82 +2640,63 @@ class ImageToHppConverter {
         return new ImageData(data, imageData.width, imageData.height);
     }
 
-    applyDithering(imageData, method, threshold = 128) {
+    updateDitherOptions() {
+        const method = document.getElementById('dithering').value;
+        document.getElementById('ditherOptions').style.display = method === 'none' ? 'none' : 'block';
+        // Scan direction only matters for error diffusion
+        document.getElementById('serpentineOption').style.display = 
+            ImageToHppConverter.ERROR_DIFFUSION_KERNELS[method] ? 'block' : 'none';
+    }
+
+    applyDithering(imageData, method, threshold = 128, options = {}) {
         const { width, height } = imageData;
-        const data = new Float32Array(imageData.data);
-        
+        const strength = options.strength !== undefined ? options.strength : 1;
+        const kernel = ImageToHppConverter.ERROR_DIFFUSION_KERNELS[method];
+
+        if (kernel) {
+            const data = new Float32Array(imageData.data);
+            return this.errorDiffusionDithering(data, width, height, threshold, kernel, strength, options.serpentine, options.levels);
+        }
+
         switch (method) {
-            case 'floyd-steinberg':
-                return this.floydSteinbergDithering(imageData, data, width, height, threshold);
-            case 'atkinson':
-                return this.atkinsonDithering(imageData, data, width, height, threshold);
             case 'ordered':
-                return this.orderedDithering(imageData, width, height, threshold);
+                return this.orderedDithering(imageData, width, height, threshold, ImageToHppConverter.bayerMatrix(4), strength, options.levels);
+            case 'ordered-8x8':
+                return this.orderedDithering(imageData, width, height, threshold, ImageToHppConverter.bayerMatrix(8), strength, options.levels);
+            case 'blue-noise':
+                return this.orderedDithering(imageData, width, height, threshold, ImageToHppConverter.getBlueNoiseMap(), strength, options.levels);
             default:
                 return imageData;
         }
     }
 
-    floydSteinbergDithering(imageData, data, width, height, threshold) {
+    // Generic error diffusion. Strength scales the diffused error (0 = plain threshold);
+    // serpentine scanning alternates row direction to break up directional artifacts.
+    // With more than 2 levels pixels snap to the nearest gray level instead of the threshold.
+    errorDiffusionDithering(data, width, height, threshold, kernel, strength = 1, serpentine = false, levels = 2) {
         for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const index = (y * width + x) * 4;
-                const oldPixel = data[index];
-                const newPixel = oldPixel < threshold ? 0 : 255;
-                const error = oldPixel - newPixel;
-                
-                data[index] = newPixel;
-                data[index + 1] = newPixel;
-                data[index + 2] = newPixel;
-                
-                // Distribute error
-                if (x + 1 < width) {
-                    const idx = (y * width + x + 1) * 4;
-                    data[idx] += error * 7/16;
-                }
-                if (y + 1 < height) {
-                    if (x > 0) {
-                        const idx = ((y + 1) * width + x - 1) * 4;
-                        data[idx] += error * 3/16;
-                    }
-                    const idx = ((y + 1) * width + x) * 4;
-                    data[idx] += error * 5/16;
-                    if (x + 1 < width) {
-                        const idx = ((y + 1) * width + x + 1) * 4;
-                        data[idx] += error * 1/16;
-                    }
-                }
-            }
-        }
-        
-        return new ImageData(new Uint8ClampedArray(data), width, height);
-    }
+            const reverse = serpentine && y % 2 === 1;
+            const direction = reverse ? -1 : 1;
 
-    atkinsonDithering(imageData, data, width, height, threshold) {
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
+            for (let step = 0; step < width; step++) {
+                const x = reverse ? width - 1 - step : step;
                 const index = (y * width + x) * 4;
                 const oldPixel = data[index];
-                const newPixel = oldPixel < threshold ? 0 : 255;
-                const error = oldPixel - newPixel;
+                const newPixel = levels > 2
+                    ? ImageToHppConverter.nearestGray(oldPixel, levels)
+                    : (oldPixel < threshold ? 0 : 255);
+                const error = (oldPixel - newPixel) * strength / kernel.divisor;
                 
                 data[index] = newPixel;
                 data[index + 1] = newPixel;
                 data[index + 2] = newPixel;
                 
-                // Atkinson dithering pattern
-                const positions = [
-                    [1, 0], [2, 0],
-                    [-1, 1], [0, 1], [1, 1],
-                    [0, 2]
-                ];
-                
-                positions.forEach(([dx, dy]) => {
-                    const nx = x + dx;
+                // Distribute error, mirroring the kernel on right-to-left rows
+                kernel.offsets.forEach(([dx, dy, weight]) => {
+                    const nx = x + dx * direction;
                     const ny = y + dy;
-                    if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                        const idx = (ny * width + nx) * 4;
-                        data[idx] += error / 8;
+                    if (nx >= 0 && nx < width && ny < height) {
+                        data[(ny * width + nx) * 4] += error * weight;
                     }
                 });
             }
@@ -602,25 +2705,31 @@ class ImageToHppConverter {
         return new ImageData(new Uint8ClampedArray(data), width, height);
     }
 
-    orderedDithering(imageData, width, height, threshold) {
-        const bayerMatrix = [
-            [0, 8, 2, 10],
-            [12, 4, 14, 6],
-            [3, 11, 1, 9],
-            [15, 7, 13, 5]
-        ];
-        
+    // Threshold-map dithering; the map holds ranks 0..n-1 and strength scales the +/-32 spread.
+    // For gray output the map instead spreads each pixel across one gray step before rounding.
+    orderedDithering(imageData, width, height, threshold, matrix, strength = 1, grayLevels = 2) {
         const data = new Uint8ClampedArray(imageData.data);
+        const mapHeight = matrix.length;
+        const mapWidth = matrix[0].length;
+        const levels = mapWidth * mapHeight;
+        const grayStep = 255 / (grayLevels - 1);
         
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
                 const index = (y * width + x) * 4;
                 const pixel = data[index];
+                const rank = matrix[y % mapHeight][x % mapWidth];
+                let newPixel;
                 
-                // Apply ordered dithering with user threshold
-                const ditherValue = (bayerMatrix[y % 4][x % 4] / 16) * 64 - 32; // -32 to +32 range
-                const adjustedThreshold = Math.max(0, Math.min(255, threshold + ditherValue));
-                const newPixel = pixel > adjustedThreshold ? 255 : 0;
+                if (grayLevels > 2) {
+                    const offset = ((rank + 0.5) / levels - 0.5) * grayStep * strength;
+                    newPixel = ImageToHppConverter.nearestGray(pixel + offset, grayLevels);
+                } else {
+                    // Apply ordered dithering with user threshold
+                    const ditherValue = ((rank / levels) * 64 - 32) * strength;
+                    const adjustedThreshold = Math.max(0, Math.min(255, threshold + ditherValue));
+                    newPixel = pixel > adjustedThreshold ? 255 : 0;
+                }
                 
                 data[index] = newPixel;
                 data[index + 1] = newPixel;
@@ -631,90 +2740,215 @@ class ImageToHppConverter {
         return new ImageData(data, width, height);
     }
 
-    convertToBinary(imageData, threshold, invert) {
-        const { width, height, data } = imageData;
-        const binaryData = [];
-        
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x += 8) {
-                let byte = 0;
-                for (let bit = 0; bit < 8; bit++) {
-                    if (x + bit < width) {
-                        const index = (y * width + x + bit) * 4;
-                        const pixel = data[index];
-                        let isBlack = pixel < threshold;
-                        
-                        if (invert) {
-                            isBlack = !isBlack;
-                        }
-                        
-                        if (!isBlack) { // White pixel (bit = 1)
-                            byte |= (1 << (7 - bit));
-                        }
-                    } else {
-                        // Padding with white pixels
-                        if (!invert) {
-                            byte |= (1 << (7 - bit));
-                        }
-                    }
+    // Recursive Bayer index matrix of a power-of-two size
+    static bayerMatrix(size) {
+        if (size <= 1) return [[0]];
+        
+        const half = ImageToHppConverter.bayerMatrix(size / 2);
+        const matrix = [];
+        for (let y = 0; y < size; y++) {
+            matrix.push([]);
+            for (let x = 0; x < size; x++) {
+                const base = 4 * half[y % (size / 2)][x % (size / 2)];
+                const quadrant = [[0, 2], [3, 1]][Math.floor(y / (size / 2))][Math.floor(x / (size / 2))];
+                matrix[y].push(base + quadrant);
+            }
+        }
+        return matrix;
+    }
+
+    static getBlueNoiseMap() {
+        if (!ImageToHppConverter.blueNoiseMap) {
+            ImageToHppConverter.blueNoiseMap = ImageToHppConverter.generateVoidAndCluster(64, 1.5);
+        }
+        return ImageToHppConverter.blueNoiseMap;
+    }
+
+    // Ulichney's void-and-cluster method. Seeded so exports are reproducible between sessions.
+    static generateVoidAndCluster(size, sigma) {
+        const count = size * size;
+        const pattern = new Uint8Array(count);
+        const energy = new Float64Array(count);
+        const ranks = new Int32Array(count);
+
+        // Toroidal Gaussian falloff indexed by wrapped (dx, dy)
+        const weights = new Float64Array(count);
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                const wx = Math.min(dx, size - dx);
+                const wy = Math.min(dy, size - dy);
+                weights[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+            }
+        }
+
+        const toggle = (index, value) => {
+            pattern[index] = value;
+            const sign = value ? 1 : -1;
+            const px = index % size;
+            const py = Math.floor(index / size);
+            for (let y = 0; y < size; y++) {
+                const row = ((y - py + size) % size) * size;
+                for (let x = 0; x < size; x++) {
+                    energy[y * size + x] += sign * weights[row + (x - px + size) % size];
                 }
-                binaryData.push(byte);
+            }
+        };
+        // Tightest cluster: the set pixel with most energy; largest void: the empty pixel with least
+        const find = (value, compare) => {
+            let best = -1;
+            for (let i = 0; i < count; i++) {
+                if (pattern[i] === value && (best < 0 || compare(energy[i], energy[best]))) best = i;
+            }
+            return best;
+        };
+        const tightestCluster = () => find(1, (a, b) => a > b);
+        const largestVoid = () => find(0, (a, b) => a < b);
+
+        // Seeded random initial pattern with ~10% of pixels set
+        let seed = 0x4B595759;
+        const random = () => {
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        const initialCount = Math.floor(count / 10);
+        let placed = 0;
+        while (placed < initialCount) {
+            const index = Math.floor(random() * count);
+            if (!pattern[index]) {
+                toggle(index, 1);
+                placed++;
             }
         }
-        
-        return binaryData;
+
+        // Relax the initial pattern until moving the tightest cluster fills the same void
+        for (;;) {
+            const cluster = tightestCluster();
+            toggle(cluster, 0);
+            const hole = largestVoid();
+            toggle(hole, 1);
+            if (hole === cluster) break;
+        }
+        const prototype = new Uint8Array(pattern);
+        const prototypeEnergy = new Float64Array(energy);
+
+        // Phase 1: rank the prototype's pixels by removing clusters
+        for (let ones = initialCount; ones > 0; ones--) {
+            const cluster = tightestCluster();
+            toggle(cluster, 0);
+            ranks[cluster] = ones - 1;
+        }
+
+        // Phases 2 and 3: fill voids from the prototype until every pixel is ranked
+        pattern.set(prototype);
+        energy.set(prototypeEnergy);
+        for (let ones = initialCount; ones < count; ones++) {
+            const hole = largestVoid();
+            toggle(hole, 1);
+            ranks[hole] = ones;
+        }
+
+        const matrix = [];
+        for (let y = 0; y < size; y++) {
+            matrix.push(Array.from(ranks.subarray(y * size, (y + 1) * size)));
+        }
+        return matrix;
+    }
+
+    convertToBinary(imageData, threshold, invert) {
+        return KywyBitmapCodec.encodeImageData(imageData, threshold, invert);
+    }
+
+    // Gray output
+
+    // Closest of `levels` evenly spaced gray values
+    static nearestGray(value, levels) {
+        const step = 255 / (levels - 1);
+        return Math.max(0, Math.min(levels - 1, Math.round(value / step))) * step;
+    }
+
+    // Level (0 = black) of every pixel, as { bits, levels }
+    convertToGrayLevels(imageData, bits, invert) {
+        const { width, height, data } = imageData;
+        const maxLevel = (1 << bits) - 1;
+        const levels = new Uint8Array(width * height);
+
+        for (let i = 0; i < levels.length; i++) {
+            const level = Math.max(0, Math.min(maxLevel, Math.round(data[i * 4] * maxLevel / 255)));
+            levels[i] = invert ? maxLevel - level : level;
+        }
+
+        return { bits, levels };
+    }
+
+    // One packed 1-bit bitmap per bit of the level, least significant first
+    static grayPlanes(gray, width, height) {
+        const planes = [];
+        for (let plane = 0; plane < gray.bits; plane++) {
+            const mask = gray.levels.map(level => (level >> plane) & 1);
+            planes.push(KywyBitmapCodec.encode(mask, width, height));
+        }
+        return planes;
+    }
+
+    // Plane to show on each refresh. Plane k is shown 2^k times per cycle of 2^bits - 1 refreshes,
+    // so a pixel is white for level / maxLevel of the time. The ruler sequence (the plane for
+    // refresh t follows the trailing zeros of t) spreads the showings out to keep flicker low.
+    static graySchedule(bits) {
+        const schedule = [];
+        for (let t = 1; t < 1 << bits; t++) {
+            let trailingZeros = 0;
+            while (!((t >> trailingZeros) & 1)) trailingZeros++;
+            schedule.push(bits - 1 - trailingZeros);
+        }
+        return schedule;
+    }
+
+    // What the eye sees: every pixel averaged over one cycle of the schedule
+    static simulateGray(gray, width, height) {
+        const planes = ImageToHppConverter.grayPlanes(gray, width, height).map(plane => KywyBitmapCodec.decode(plane, width, height));
+        const schedule = ImageToHppConverter.graySchedule(gray.bits);
+        const imageData = new ImageData(width, height);
+
+        for (let i = 0; i < width * height; i++) {
+            let lit = 0;
+            schedule.forEach(plane => { lit += planes[plane][i]; });
+            const value = Math.round(lit * 255 / schedule.length);
+            imageData.data[i * 4] = value;
+            imageData.data[i * 4 + 1] = value;
+            imageData.data[i * 4 + 2] = value;
+            imageData.data[i * 4 + 3] = 255;
+        }
+
+        return imageData;
+    }
+
+    updateGrayInfo() {
+        const bits = parseInt(document.getElementById('grayBits').value);
+        document.getElementById('grayInfo').textContent = bits > 1
+            ? `${bits} bitplanes cycled over ${(1 << bits) - 1} refreshes; other targets get the brightest plane only`
+            : '';
     }
 
     displayProcessedImage() {
         if (!this.processedImageData) return;
         
-        const container = document.getElementById('processedImage');
-        container.innerHTML = '';
-        
-        const { width, height, data } = this.processedImageData;
-        
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        // Get user-selected scale
+        const { width, height, data, gray } = this.processedImageData;
         const scale = parseInt(document.getElementById('previewScale').value);
-        canvas.width = width * scale;
-        canvas.height = height * scale;
+        const imageData = gray
+            ? ImageToHppConverter.simulateGray(gray, width, height)
+            : KywyBitmapCodec.decodeToImageData(data, width, height);
+        this.displaySimulator.render(imageData, scale);
         
-        const imageData = ctx.createImageData(width, height);
+        const indicator = document.querySelector('#processedImage .processing-indicator');
+        if (indicator) indicator.remove();
         
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const byteIndex = Math.floor((y * Math.ceil(width / 8)) + (x / 8));
-                const bitIndex = 7 - (x % 8);
-                const byte = data[byteIndex] || 0;
-                const isWhite = (byte >> bitIndex) & 1;
-                const color = isWhite ? 255 : 0;
-                
-                const index = (y * width + x) * 4;
-                imageData.data[index] = color;     // R
-                imageData.data[index + 1] = color; // G
-                imageData.data[index + 2] = color; // B
-                imageData.data[index + 3] = 255;   // A
-            }
+        let info = `Processed size: ${width} x ${height}, Scale: ${scale}x`;
+        if (gray) {
+            info += `, ${gray.bits}-bit gray as perceived over ${(1 << gray.bits) - 1} refreshes`;
         }
-        
-        // Create temporary canvas for the actual size
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCanvas.width = width;
-        tempCanvas.height = height;
-        tempCtx.putImageData(imageData, 0, 0);
-        
-        // Scale it up
-        ctx.imageSmoothingEnabled = false;
-        ctx.drawImage(tempCanvas, 0, 0, width * scale, height * scale);
-        
-        container.appendChild(canvas);
-        
-        const info = document.createElement('p');
-        info.textContent = `Processed size: ${width} x ${height}, Scale: ${scale}x`;
-        container.appendChild(info);
+        document.getElementById('processedInfo').textContent = info;
     }
 
     generateHppOutput() {
@@ -722,19 +2956,87 @@ class ImageToHppConverter {
         
         const { width, height, data } = this.processedImageData;
         const arrayName = document.getElementById('arrayName').value || 'my_image';
+        const compression = document.getElementById('compression').value;
+        const outputFormat = document.getElementById('outputFormat').value;
+        
+        // Compression only applies to C++ headers
+        const isRegistryFormat = KywyExportFormats.has(outputFormat);
+        document.getElementById('compressionOptions').style.display = isRegistryFormat ? 'none' : '';
+        if (isRegistryFormat) {
+            const bitmap = this.getOutputBitmap(arrayName);
+            document.getElementById('hppOutput').value = KywyExportFormats.preview(outputFormat, KywyExportFormats.build(outputFormat, arrayName, [bitmap]));
+            document.getElementById('downloadDecoderBtn').style.display = 'none';
+            document.getElementById('usageExample').textContent = KywyExportFormats.usage(outputFormat, arrayName, [bitmap]);
+            return;
+        }
+        
+        const { gray } = this.processedImageData;
+        if (gray) {
+            document.getElementById('hppOutput').value = this.formatDecoderInclude(compression) +
+                this.formatGrayHpp(arrayName, width, height, gray, compression);
+            this.updateCompressionInfo(ImageToHppConverter.grayPlanes(gray, width, height), compression);
+            this.updateGrayUsageExample(width, height, arrayName, gray.bits, compression);
+            return;
+        }
         
+        document.getElementById('hppOutput').value = this.formatDecoderInclude(compression) +
+            this.formatHppArray(arrayName, width, height, data, compression);
+        this.updateCompressionInfo([data], compression);
+        
+        // Update usage example
+        this.updateUsageExample(width, height, arrayName, compression);
+    }
+
+    // Savings readout next to the compression selector; gray output passes all of its planes
+    updateCompressionInfo(arrays, compression) {
+        const info = document.getElementById('compressionInfo');
+        const format = KywyCompression.FORMATS[compression];
+        document.getElementById('downloadDecoderBtn').style.display = format ? 'inline-block' : 'none';
+
+        const rawLength = arrays.reduce((total, data) => total + data.length, 0);
+        if (!format) {
+            info.textContent = `${rawLength} bytes`;
+            return;
+        }
+
+        const compressedLength = arrays.reduce((total, data) => total + KywyCompression.encode(data, compression).length, 0);
+        info.textContent = `Raw ${rawLength} B → ${format.label} ${compressedLength} B (${ImageToHppConverter.formatSavings(rawLength, compressedLength)})`;
+    }
+
+    static formatSavings(rawLength, compressedLength) {
+        if (rawLength === 0) return '0% smaller';
+        const percent = (1 - compressedLength / rawLength) * 100;
+        return percent >= 0 ? `${percent.toFixed(1)}% smaller` : `${(-percent).toFixed(1)}% larger`;
+    }
+
+    formatDecoderInclude(compression) {
+        const format = KywyCompression.FORMATS[compression];
+        return format ? `#include "${format.decoderFile}"\n\n` : '';
+    }
+
+    formatHppArray(arrayName, width, height, data, compression = 'none') {
+        const format = KywyCompression.FORMATS[compression];
+        const bytes = format ? KywyCompression.encode(data, compression) : data;
+
         let output = `// ================================================\n`;
         output += `//             ${arrayName} BITMAP ARRAY START\n`;
         output += `// ================================================\n\n`;
+        output += KywyBitmapCodec.headerTag();
         output += `// Size: ${width} x ${height}\n`;
-        output += `// Total bytes: ${data.length}\n\n`;
+        if (format) {
+            output += `// Compression: ${format.label}, decode with ${format.decoderFunction}() from ${format.decoderFile}\n`;
+            output += `// Total bytes: ${bytes.length} (raw ${data.length}, ${ImageToHppConverter.formatSavings(data.length, bytes.length)})\n\n`;
+            output += `const size_t ${arrayName}_raw_size = ${data.length};\n`;
+        } else {
+            output += `// Total bytes: ${data.length}\n\n`;
+        }
         output += `uint8_t ${arrayName}[] = {\n`;
         
-        for (let i = 0; i < data.length; i += 12) {
+        for (let i = 0; i < bytes.length; i += 12) {
             output += '  ';
-            for (let j = 0; j < 12 && i + j < data.length; j++) {
-                output += `0x${data[i + j].toString(16).padStart(2, '0')}`;
-                if (i + j < data.length - 1) {
+            for (let j = 0; j < 12 && i + j < bytes.length; j++) {
+                output += `0x${bytes[i + j].toString(16).padStart(2, '0')}`;
+                if (i + j < bytes.length - 1) {
                     output += ', ';
                 }
             }
@@ -746,17 +3048,67 @@ class ImageToHppConverter {
         output += `//               ${arrayName} BITMAP ARRAY END\n`;
         output += `// ================================================`;
         
-        document.getElementById('hppOutput').value = output;
-        
-        // Update usage example
-        this.updateUsageExample(width, height, arrayName);
+        return output;
+    }
+
+    // Bitplanes as ordinary bitmap arrays, followed by the plane table and refresh schedule
+    formatGrayHpp(arrayName, width, height, gray, compression = 'none') {
+        const planes = ImageToHppConverter.grayPlanes(gray, width, height);
+        const schedule = ImageToHppConverter.graySchedule(gray.bits);
+        const planeNames = planes.map((plane, index) => `${arrayName}_plane${index}`);
+
+        let output = `// ${arrayName}: ${width} x ${height}, ${gray.bits}-bit gray (${1 << gray.bits} levels) as ${planes.length} bitplanes\n`;
+        output += `// Plane k holds bit k of each pixel's level (white = 1). Draw one plane per display refresh\n`;
+        output += `// in the order of ${arrayName}_schedule; plane k is shown 2^k times per cycle, so the\n`;
+        output += `// averaged brightness matches the gray level.\n\n`;
+        output += planes.map((plane, index) => this.formatHppArray(planeNames[index], width, height, plane, compression)).join('\n\n');
+        output += `\n\n`;
+        output += `const uint8_t ${arrayName}_bits = ${gray.bits};\n`;
+        output += `uint8_t *const ${arrayName}_planes[] = { ${planeNames.join(', ')} };\n`;
+        output += `const size_t ${arrayName}_plane_sizes[] = { ${planeNames.map(name => `sizeof(${name})`).join(', ')} };\n`;
+        output += `const uint8_t ${arrayName}_schedule[] = { ${schedule.join(', ')} };\n`;
+        output += `const size_t ${arrayName}_schedule_length = ${schedule.length};\n`;
+        return output;
+    }
+
+    updateGrayUsageExample(width, height, arrayName, bits, compression = 'none') {
+        const usageExample = document.getElementById('usageExample');
+        if (!usageExample) return;
+
+        const format = KywyCompression.FORMATS[compression];
+        let planes = `${arrayName}_planes`;
+        let setup = '';
+        if (format) {
+            // Decode every plane once up front rather than on each refresh
+            planes = `${arrayName}_buffers`;
+            setup = `static uint8_t ${arrayName}_buffers[${bits}][${arrayName}_plane0_raw_size];\n` +
+                `for (int p = 0; p < ${bits}; p++) {\n` +
+                `  ${format.decoderFunction}(${arrayName}_planes[p], ${arrayName}_plane_sizes[p], ${arrayName}_buffers[p], ${arrayName}_plane0_raw_size);\n` +
+                `}\n\n`;
+        }
+
+        usageExample.textContent = setup +
+            `// Every display refresh, as fast as the display allows:\n` +
+            `static uint8_t ${arrayName}_frame = 0;\n` +
+            `engine.display.drawBitmap(0, 0, ${width}, ${height}, ${planes}[${arrayName}_schedule[${arrayName}_frame]]);\n` +
+            `${arrayName}_frame = (${arrayName}_frame + 1) % ${arrayName}_schedule_length;`;
     }
 
-    updateUsageExample(width, height, arrayName) {
+    updateUsageExample(width, height, arrayName, compression = 'none') {
         const usageExample = document.getElementById('usageExample');
-        if (usageExample) {
+        if (!usageExample) return;
+
+        const format = KywyCompression.FORMATS[compression];
+        if (!format) {
             usageExample.textContent = `engine.display.drawBitmap(0, 0, ${width}, ${height}, ${arrayName});`;
+            return;
         }
+
+        // Compressed arrays are unpacked into a RAM buffer before drawing
+        usageExample.textContent =
+            `static uint8_t ${arrayName}_buffer[${arrayName}_raw_size];\n` +
+            `${format.decoderFunction}(${arrayName}, sizeof(${arrayName}), ${arrayName}_buffer, ${arrayName}_raw_size);\n` +
+            `engine.display.drawBitmap(0, 0, ${width}, ${height}, ${arrayName}_buffer);`;
     }
 
     copyToClipboard() {
@@ -776,6 +3128,13 @@ class ImageToHppConverter {
             return;
         }
         
+        const outputFormat = document.getElementById('outputFormat').value;
+        if (KywyExportFormats.has(outputFormat) && this.processedImageData) {
+            const [file] = KywyExportFormats.build(outputFormat, arrayName, [this.getOutputBitmap(arrayName)]);
+            this.downloadBlob(new Blob([file.content], { type: file.mimeType }), file.name);
+            return;
+        }
+        
         const blob = new Blob([content], { type: 'text/plain' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -787,6 +3146,14 @@ class ImageToHppConverter {
         URL.revokeObjectURL(url);
     }
 
+    downloadDecoder() {
+        const compression = document.getElementById('compression').value;
+        const format = KywyCompression.FORMATS[compression];
+        if (!format) return;
+
+        this.downloadBlob(new Blob([KywyCompression.decoderSource(compression)], { type: 'text/plain' }), format.decoderFile);
+    }
+
     downloadProcessedImage() {
         if (!this.processedImageData) {
             alert('No processed image to download. Please convert an image first.');
@@ -821,31 +3188,19 @@ class ImageToHppConverter {
     }
 
     // Auto adjustment methods
-    getImageStatistics() {
+    // Grayscale statistics of what the conversion sees (rotated, cropped and resized),
+    // optionally after the tone stage
+    getImageStatistics(afterTone = false) {
         if (!this.originalImage) return null;
 
-        const { width, height } = this.getTargetDimensions();
-        const rotate = parseInt(document.getElementById('rotate').value);
-
-        // First, apply rotation to original image if needed
-        let sourceImage = this.originalImage;
-        if (rotate !== 0) {
-            sourceImage = this.rotateImage(this.originalImage, rotate);
-        }
-
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = width;
-        canvas.height = height;
-        
-        // Draw and resize the rotated image
-        ctx.drawImage(sourceImage, 0, 0, width, height);
-        
-        // Get image data (no need to apply rotation again)
-        let imageData = ctx.getImageData(0, 0, width, height);
+        const settings = this.getSettings();
+        let imageData = this.renderTargetImage(this.originalImage, settings, this.cropRect);
         
         // Convert to grayscale for analysis
         imageData = this.convertToGrayscale(imageData);
+        if (afterTone) {
+            imageData = this.applyToneLUT(imageData, this.buildToneLUT(settings));
+        }
         
         const data = imageData.data;
         let min = 255, max = 0, sum = 0, count = 0;
@@ -976,47 +3331,29 @@ class ImageToHppConverter {
             }
         }
         
-        // Calculate adjustments to map [lowValue, highValue] to [0, 255]
-        const currentRange = highValue - lowValue;
-        if (currentRange <= 0) {
+        if (highValue - lowValue <= 0) {
             // Image is flat, just center it
             this.autoAdjustBrightness();
             return;
         }
         
-        // Calculate brightness: shift so lowValue becomes ~32 (near black but not completely)
-        const targetLow = 32;
-        const brightnessAdjustment = Math.round(targetLow - lowValue);
-        
-        // Calculate contrast: stretch so range becomes wider
-        const targetRange = 192; // From 32 to 224, good range
-        const contrastFactor = targetRange / currentRange;
-        
-        // Convert contrast factor to slider value (-100 to 100)
-        // contrastFactor of 1.0 = no change = slider value 0
-        // contrastFactor > 1.0 = increase contrast = positive slider
-        // contrastFactor < 1.0 = decrease contrast = negative slider
-        let contrastAdjustment = Math.round((contrastFactor - 1.0) * 100);
-        
-        // Clamp values
-        const clampedBrightness = Math.max(-100, Math.min(100, brightnessAdjustment));
-        const clampedContrast = Math.max(-100, Math.min(100, contrastAdjustment));
-        
-        // Update sliders
-        const brightnessSlider = document.getElementById('brightness');
-        const contrastSlider = document.getElementById('contrast');
-        
-        brightnessSlider.value = clampedBrightness;
-        contrastSlider.value = clampedContrast;
-        
-        document.getElementById('brightnessValue').textContent = clampedBrightness;
-        document.getElementById('contrastValue').textContent = clampedContrast;
+        // Map [lowValue, highValue] to the full range with the levels control,
+        // leaving brightness/contrast neutral so the two don't fight
+        this.applySettings({
+            brightness: '0',
+            contrast: '0',
+            levelsBlack: String(lowValue),
+            levelsWhite: String(Math.max(lowValue + 1, highValue)),
+            levelsGamma: '1'
+        });
+        this.drawToneCurve();
         
         this.updateLivePreview();
     }
 
     autoAdjustThreshold() {
-        const stats = this.getImageStatistics();
+        // Otsu works on the values the threshold is actually compared against
+        const stats = this.getImageStatistics(true);
         if (!stats) {
             alert('Please upload an image first');
             return;
@@ -1116,7 +3453,7 @@ class ImageToHppConverter {
     }
 
     autoAdjustAll() {
-        // Apply auto levels first (brightness + contrast)
+        // Apply auto levels first
         this.autoAdjustLevels();
         
         // Then apply auto threshold with a small delay to let the previous adjustment settle
@@ -1126,7 +3463,9 @@ class ImageToHppConverter {
     }
 }
 
-// Initialize the converter when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    new ImageToHppConverter();
-});
+// Initialize the converter when the page loads (the preview worker only loads this file for the pipeline)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        new ImageToHppConverter();
+    });
+}
@@ -5315,7 +5315,15 @@ class DrawingEditor {
             this.generateCode();
         });
         
+        // Device preview of the current frame (shared simulator, settings are site-wide)
+        this.displaySimulator = new KywyDisplaySimulator(document.getElementById('devicePreview'), { scale: 1 });
+        this.devicePreviewPending = false;
+        document.getElementById('devicePreviewZoom').addEventListener('change', (e) => {
+            this.displaySimulator.setScale(parseInt(e.target.value));
+        });
+        
         // Export format change - update default name and regenerate code
+        KywyExportFormats.addOptions(document.getElementById('exportFormat'));
         document.getElementById('exportFormat').addEventListener('change', (e) => {
             this.updateAssetNameDefault(e.target.value);
             this.generateCode();
@@ -11331,6 +11339,21 @@ class DrawingEditor {
         if (this.lastMouseEvent) {
             this.redrawCurrentPreview();
         }
+        
+        this.scheduleDevicePreview();
+    }
+    
+    // Redraws come in bursts while drawing, so the device preview updates once per animation frame
+    scheduleDevicePreview() {
+        if (!this.displaySimulator || this.devicePreviewPending) return;
+        this.devicePreviewPending = true;
+        requestAnimationFrame(() => {
+            this.devicePreviewPending = false;
+            const frame = this.frames && this.frames[this.currentFrameIndex];
+            if (frame) {
+                this.displaySimulator.render(frame);
+            }
+        });
     }
     
     updateOnionSkin() {
@@ -12270,16 +12293,77 @@ class DrawingEditor {
             code = this.generateAnimationHPP();
         } else if (format === 'layers') {
             code = this.generateLayersHPP();
+        } else if (KywyExportFormats.has(format)) {
+            code = KywyExportFormats.preview(format, this.buildExportFiles(format));
         }
         
         document.getElementById('codeOutput').value = code;
     }
     
+    // Rust, MicroPython, XBM and PBM files from the shared export format registry.
+    // Animations export every frame; otherwise the current frame is exported on its own.
+    buildExportFiles(format) {
+        const rawAssetName = document.getElementById('assetName').value || 'my_image';
+        const assetName = this.cleanAssetName(rawAssetName);
+        const isAnimation = this.frames.length > 1;
+        const frames = isAnimation ? this.frames : [this.frames[this.currentFrameIndex]];
+        
+        const bitmaps = frames.map((frame, index) => {
+            const ctx = frame.getContext('2d', { willReadFrequently: true });
+            const imageData = ctx.getImageData(0, 0, this.canvasWidth, this.canvasHeight);
+            return {
+                name: isAnimation ? `${assetName}_frame_${index}` : assetName,
+                width: this.canvasWidth,
+                height: this.canvasHeight,
+                mask: KywyBitmapCodec.maskFromImageData(imageData)
+            };
+        });
+        
+        const options = {};
+        if (isAnimation) {
+            const frameRate = parseFloat(document.getElementById('frameRate').value);
+            options.durations = frames.map(() => Math.round(1000 / frameRate));
+        }
+        
+        return KywyExportFormats.build(format, assetName, bitmaps, options);
+    }
+    
+    downloadExportFiles(format) {
+        const assetName = this.cleanAssetName(document.getElementById('assetName').value || 'my_image');
+        const files = this.buildExportFiles(format);
+        let blob = null;
+        let fileName = '';
+        if (files.length === 1) {
+            blob = new Blob([files[0].content], { type: files[0].mimeType });
+            fileName = files[0].name;
+        } else {
+            // XBM and PBM hold one image per file, so animations download as a ZIP
+            const zip = new KywyZipWriter();
+            files.forEach(file => zip.addFile(file.name, file.content));
+            blob = zip.toBlob();
+            fileName = `${assetName}.zip`;
+        }
+        
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    // Pack a frame or layer canvas with the shared Kywy bitmap codec, as uppercase hex literals
+    packCanvasToHexBytes(canvas) {
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const imageData = ctx.getImageData(0, 0, this.canvasWidth, this.canvasHeight);
+        const packed = KywyBitmapCodec.encodeImageData(imageData);
+        return Array.from(packed).map(b => `0x${b.toString(16).padStart(2, '0').toUpperCase()}`);
+    }
+    
     generateSingleFrameHPP() {
         const frame = this.frames[this.currentFrameIndex];
-        const ctx = frame.getContext('2d', { willReadFrequently: true });
-        const imageData = ctx.getImageData(0, 0, this.canvasWidth, this.canvasHeight);
-        const data = imageData.data;
         
         // Get the asset name from the input and clean it
         const rawAssetName = document.getElementById('assetName').value || 'my_image';
@@ -12287,24 +12371,11 @@ class DrawingEditor {
         
         let code = `// KYWY_FORMAT: SINGLE_FRAME\n`;
         code += `// Generated bitmap data for ${this.canvasWidth}x${this.canvasHeight} image\n`;
-        code += `// Created with Kywy Drawing Editor\n\n`;
-        code += `uint8_t ${assetName}_data[${Math.ceil((this.canvasWidth * this.canvasHeight) / 8)}] = {\n`;
-        
-        const bytes = [];
-        for (let byte = 0; byte < Math.ceil((this.canvasWidth * this.canvasHeight) / 8); byte++) {
-            let byteValue = 0;
-            for (let bit = 0; bit < 8; bit++) {
-                const pixelIndex = byte * 8 + bit;
-                if (pixelIndex < this.canvasWidth * this.canvasHeight) {
-                    const dataIndex = pixelIndex * 4;
-                    const isWhite = data[dataIndex] >= 128; // R value >= 128 = white
-                    if (isWhite) {
-                        byteValue |= (1 << (7 - bit));
-                    }
-                }
-            }
-            bytes.push(`0x${byteValue.toString(16).padStart(2, '0').toUpperCase()}`);
-        }
+        code += `// Created with Kywy Drawing Editor\n`;
+        code += KywyBitmapCodec.headerTag() + '\n';
+        
+        const bytes = this.packCanvasToHexBytes(frame);
+        code += `uint8_t ${assetName}_data[${bytes.length}] = {\n`;
         
         // Format bytes with proper line breaks
         for (let i = 0; i < bytes.length; i += 12) {
@@ -12332,33 +12403,11 @@ class DrawingEditor {
         
         let code = `// KYWY_FORMAT: ANIMATION\n`;
         code += `// Generated animation data for ${this.canvasWidth}x${this.canvasHeight} animation\n`;
-        code += `// ${this.frames.length} frames - Created with Kywy Drawing Editor\n\n`;
+        code += `// ${this.frames.length} frames - Created with Kywy Drawing Editor\n`;
+        code += KywyBitmapCodec.headerTag() + '\n';
         
         // Generate frame data
-        const frameDataArrays = [];
-        this.frames.forEach((frame, index) => {
-            const ctx = frame.getContext('2d', { willReadFrequently: true });
-            const imageData = ctx.getImageData(0, 0, this.canvasWidth, this.canvasHeight);
-            const data = imageData.data;
-            
-            const bytes = [];
-            for (let byte = 0; byte < Math.ceil((this.canvasWidth * this.canvasHeight) / 8); byte++) {
-                let byteValue = 0;
-                for (let bit = 0; bit < 8; bit++) {
-                    const pixelIndex = byte * 8 + bit;
-                    if (pixelIndex < this.canvasWidth * this.canvasHeight) {
-                        const dataIndex = pixelIndex * 4;
-                        const isWhite = data[dataIndex] >= 128;
-                        if (isWhite) {
-                            byteValue |= (1 << (7 - bit));
-                        }
-                    }
-                }
-                bytes.push(`0x${byteValue.toString(16).padStart(2, '0').toUpperCase()}`);
-            }
-            
-            frameDataArrays.push(bytes);
-        });
+        const frameDataArrays = this.frames.map(frame => this.packCanvasToHexBytes(frame));
         
         // Output individual frame arrays
         frameDataArrays.forEach((bytes, index) => {
@@ -12438,7 +12487,8 @@ class DrawingEditor {
             code += `// ${layers.length} total layers (${layers.filter(l => l.visible).length} visible, ${layers.filter(l => !l.visible).length} hidden)\n`;
         }
         
-        code += `// Created with Kywy Drawing Editor\n\n`;
+        code += `// Created with Kywy Drawing Editor\n`;
+        code += KywyBitmapCodec.headerTag() + '\n';
         
         // Export all frames with their layers
         framesWithLayers.forEach((frameData, frameIndex) => {
@@ -12454,39 +12504,7 @@ class DrawingEditor {
                 // Skip hidden layers
                 if (!layer.visible) return;
                 
-                const ctx = layer.canvas.getContext('2d', { willReadFrequently: true });
-                const imageData = ctx.getImageData(0, 0, this.canvasWidth, this.canvasHeight);
-                const data = imageData.data;
-                
-                const bytes = [];
-                let whitePixelCount = 0;
-                let blackPixelCount = 0;
-                
-                for (let byte = 0; byte < Math.ceil((this.canvasWidth * this.canvasHeight) / 8); byte++) {
-                    let byteValue = 0;
-                    for (let bit = 0; bit < 8; bit++) {
-                        const pixelIndex = byte * 8 + bit;
-                        if (pixelIndex < this.canvasWidth * this.canvasHeight) {
-                            const dataIndex = pixelIndex * 4;
-                            const r = data[dataIndex];
-                            const g = data[dataIndex + 1];
-                            const b = data[dataIndex + 2];
-                            
-                            // White pixels (light colors) = bit 1, Black pixels (dark colors) = bit 0
-                            const isWhite = (r >= 128 || g >= 128 || b >= 128);
-                            
-                            if (isWhite) {
-                                byteValue |= (1 << (7 - bit));
-                                whitePixelCount++;
-                            } else {
-                                blackPixelCount++;
-                            }
-                        }
-                    }
-                    bytes.push(`0x${byteValue.toString(16).padStart(2, '0').toUpperCase()}`);
-                }
-                
-                console.log(`Frame ${frameIndex} Layer ${layerIndex} (${layer.name}): ${whitePixelCount} white, ${blackPixelCount} black`);
+                const bytes = this.packCanvasToHexBytes(layer.canvas);
                 
                 // Output layer array
                 const arrayName = isMultiFrame 
@@ -13587,19 +13605,28 @@ class DrawingEditor {
         this.updateLayersUI();
     }
     
+    // Projects are saved as binary .kywy files (see kywy-project-file.js); JSON projects still load
     save() {
-        const data = {
+        const maskOf = (canvas) => {
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            return KywyBitmapCodec.maskFromImageData(ctx.getImageData(0, 0, this.canvasWidth, this.canvasHeight));
+        };
+        
+        const frameRate = parseFloat(document.getElementById('frameRate').value);
+        const project = {
             width: this.canvasWidth,
             height: this.canvasHeight,
-            frames: this.frames.map(frame => frame.toDataURL()),
-            layersEnabled: this.layersEnabled
+            frames: this.frames.map(maskOf),
+            layersEnabled: this.layersEnabled,
+            frameRate: frameRate,
+            animationMode: this.animationMode
         };
         
         // Save current script code if any exists
         try {
             const currentScript = window.getScriptEditorCode ? window.getScriptEditorCode() : '';
             if (currentScript && currentScript.trim()) {
-                data.script = currentScript;
+                project.script = currentScript;
             }
         } catch (e) {
             // Ignore script save errors
@@ -13608,13 +13635,13 @@ class DrawingEditor {
         
         // Save layer data if layers are being used
         if (this.frameLayers && Object.keys(this.frameLayers).length > 0) {
-            data.layers = {};
+            project.layers = {};
             Object.keys(this.frameLayers).forEach(frameIndex => {
                 const frameData = this.frameLayers[frameIndex];
-                data.layers[frameIndex] = {
+                project.layers[frameIndex] = {
                     currentLayerIndex: frameData.currentLayerIndex,
                     layers: frameData.layers.map(layer => ({
-                        canvas: layer.canvas.toDataURL(),
+                        mask: maskOf(layer.canvas),
                         visible: layer.visible,
                         name: layer.name,
                         transparencyMode: layer.transparencyMode || 'white'
@@ -13624,11 +13651,11 @@ class DrawingEditor {
         }
         
         const assetName = document.getElementById('assetName').value || 'my_image';
-        const blob = new Blob([JSON.stringify(data, null, 2)], {type: 'application/json'});
+        const blob = new Blob([KywyProjectFile.encode(project)], {type: 'application/octet-stream'});
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${assetName}.json`;
+        a.download = `${assetName}.${KywyProjectFile.EXTENSION}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -13649,8 +13676,20 @@ class DrawingEditor {
                 const fileName = file.name.toLowerCase();
                 const reader = new FileReader();
                 
-                if (fileName.endsWith('.json')) {
-                    // Handle JSON files
+                if (fileName.endsWith(`.${KywyProjectFile.EXTENSION}`)) {
+                    // Handle binary project files
+                    reader.onload = (event) => {
+                        try {
+                            this.loadFromProjectFile(event.target.result);
+                            e.target.value = '';
+                        } catch (err) {
+                            alert('Error loading project file: ' + err.message);
+                            e.target.value = '';
+                        }
+                    };
+                    reader.readAsArrayBuffer(file);
+                } else if (fileName.endsWith('.json')) {
+                    // Handle JSON files (projects saved before the binary format)
                     reader.onload = (event) => {
                         try {
                             const data = JSON.parse(event.target.result);
@@ -13678,7 +13717,7 @@ class DrawingEditor {
                     };
                     reader.readAsText(file);
                 } else {
-                    alert('Unsupported file type. Please select a .json or .hpp file.');
+                    alert('Unsupported file type. Please select a .kywy, .json or .hpp file.');
                     e.target.value = '';
                 }
             }
@@ -13749,49 +13788,96 @@ class DrawingEditor {
                 });
                 
                 // Wait for all layers to load, then update UI
-                Promise.all(layerLoadPromises).then(() => {
-                    // Auto-enable layers if layer data exists
-                    // Use saved state if available, otherwise default to true since layers exist
-                    const shouldEnableLayers = data.layersEnabled !== undefined ? data.layersEnabled : true;
-                    
-                    if (shouldEnableLayers) {
-                        // Use safe method to enable layers mode (ensures mutual exclusivity)
-                        this.safeEnableLayersMode();
-                    } else {
-                        // Ensure layers mode is disabled
-                        this.safeDisableAllModes();
-                    }
-                    
-                    // Composite all loaded layers to their respective frames
-                    Object.keys(this.frameLayers).forEach(frameIndex => {
-                        this.compositeLayersToFrame(parseInt(frameIndex));
-                    });
-                    
-                    this.updateUI();
-                    this.redrawCanvas();
-                    this.generateCode();
-                    
-                    // Set export format based on loaded data
-                    this.setExportFormatFromLoadedData(data);
-                    
-                    // Load script if it exists
-                    this.loadScript(data);
-                });
+                Promise.all(layerLoadPromises).then(() => this.finishProjectLoad(data));
             } else {
                 // No layer data, just update normally
-                this.updateUI();
-                this.redrawCanvas();
-                this.generateCode();
-                
-                // Set export format based on loaded data
-                this.setExportFormatFromLoadedData(data);
-                
-                // Load script if it exists
-                this.loadScript(data);
+                this.finishProjectLoad(data);
             }
         });
     }
     
+    // Binary .kywy projects: planes go straight onto canvases, no image decoding needed
+    loadFromProjectFile(buffer) {
+        const project = KywyProjectFile.decode(buffer);
+        const { width, height } = project;
+        
+        this.setCanvasSize(width, height);
+        this.currentFrameIndex = 0;
+        this.frames = project.frames.map(mask => {
+            const canvas = this.createEmptyFrame();
+            canvas.getContext('2d', { willReadFrequently: true }).putImageData(KywyBitmapCodec.maskToImageData(mask, width, height), 0, 0);
+            return canvas;
+        });
+        
+        this.frameLayers = {};
+        if (project.layers) {
+            Object.keys(project.layers).forEach(frameIndex => {
+                const savedFrameData = project.layers[frameIndex];
+                this.frameLayers[frameIndex] = {
+                    currentLayerIndex: savedFrameData.currentLayerIndex,
+                    layers: savedFrameData.layers.map((layerData, layerIndex) => {
+                        const layerCanvas = document.createElement('canvas');
+                        const layerCtx = this.initializeLayerCanvas(layerCanvas, width, height);
+                        layerCtx.putImageData(KywyBitmapCodec.maskToImageData(layerData.mask, width, height), 0, 0);
+                        return {
+                            canvas: layerCanvas,
+                            visible: layerData.visible !== undefined ? layerData.visible : true,
+                            name: layerData.name || `${layerIndex + 1}`,
+                            transparencyMode: layerData.transparencyMode || 'white'
+                        };
+                    })
+                };
+            });
+        }
+        
+        // Frame timing and playback mode
+        if (project.frameRate) {
+            const frameRate = String(project.frameRate);
+            document.getElementById('frameRate').value = frameRate;
+            document.getElementById('animFrameRate').value = frameRate;
+            document.getElementById('frameRateDisplay').textContent = parseFloat(frameRate).toFixed(1);
+            document.getElementById('animFrameRateDisplay').textContent = frameRate;
+            this.frameRate = parseFloat(frameRate);
+        }
+        if (project.animationMode === 'cycle' || project.animationMode === 'boomerang') {
+            this.setAnimationMode(project.animationMode);
+        }
+        
+        this.finishProjectLoad(project);
+    }
+    
+    // Shared end of JSON and binary project loading, once frames and layers are in place
+    finishProjectLoad(data) {
+        if (data.layers) {
+            // Auto-enable layers if layer data exists
+            // Use saved state if available, otherwise default to true since layers exist
+            const shouldEnableLayers = data.layersEnabled !== undefined ? data.layersEnabled : true;
+            
+            if (shouldEnableLayers) {
+                // Use safe method to enable layers mode (ensures mutual exclusivity)
+                this.safeEnableLayersMode();
+            } else {
+                // Ensure layers mode is disabled
+                this.safeDisableAllModes();
+            }
+            
+            // Composite all loaded layers to their respective frames
+            Object.keys(this.frameLayers).forEach(frameIndex => {
+                this.compositeLayersToFrame(parseInt(frameIndex));
+            });
+        }
+        
+        this.updateUI();
+        this.redrawCanvas();
+        this.generateCode();
+        
+        // Set export format based on loaded data
+        this.setExportFormatFromLoadedData(data);
+        
+        // Load script if it exists
+        this.loadScript(data);
+    }
+    
     // Load script code if it exists in the data
     loadScript(data) {
         if (data.script && data.script.trim()) {
@@ -13858,6 +13944,10 @@ class DrawingEditor {
             
             console.log('HPP Content preview:', hppContent.substring(0, 500));
             
+            // Bit packing from the KYWY_PACKING comment; untagged headers are inferred per array
+            const packingTag = KywyBitmapCodec.parseHeaderTag(hppContent);
+            const getPacking = (bytes) => packingTag || KywyBitmapCodec.inferOptions(bytes.length, width, height);
+            
             // First pass: detect format from KYWY_FORMAT comment
             for (const line of lines) {
                 const formatMatch = line.match(/\/\/\s*KYWY_FORMAT:\s*(\w+)/);
@@ -14108,41 +14198,7 @@ class DrawingEditor {
                             layerCanvas.width = width;
                             layerCanvas.height = height;
                             const ctx = layerCanvas.getContext('2d', { willReadFrequently: true });
-                            const imageData = ctx.createImageData(width, height);
-                            const data = imageData.data;
-                            
-                            // Convert packed bits to RGBA pixels
-                            const totalPixels = width * height;
-                            for (let pixelIndex = 0; pixelIndex < totalPixels; pixelIndex++) {
-                                const byteIndex = Math.floor(pixelIndex / 8);
-                                const bitIndex = 7 - (pixelIndex % 8); // MSB first
-                                const dataIndex = pixelIndex * 4;
-                                
-                                if (byteIndex < layerInfo.data.length) {
-                                    const byte = layerInfo.data[byteIndex];
-                                    const bitValue = (byte >> bitIndex) & 1;
-                                    // Bit = 1 means WHITE, bit = 0 means BLACK
-                                    const isWhite = bitValue === 1;
-                                    
-                                    if (isWhite) {
-                                        data[dataIndex] = 255;     // R
-                                        data[dataIndex + 1] = 255; // G
-                                        data[dataIndex + 2] = 255; // B
-                                        data[dataIndex + 3] = 255; // A
-                                    } else {
-                                        data[dataIndex] = 0;       // R
-                                        data[dataIndex + 1] = 0;   // G
-                                        data[dataIndex + 2] = 0;   // B
-                                        data[dataIndex + 3] = 255; // A
-                                    }
-                                } else {
-                                    // Default to white (transparent) for uninitialized pixels
-                                    data[dataIndex] = 255;     // R
-                                    data[dataIndex + 1] = 255; // G
-                                    data[dataIndex + 2] = 255; // B
-                                    data[dataIndex + 3] = 255; // A
-                                }
-                            }
+                            const imageData = KywyBitmapCodec.decodeToImageData(layerInfo.data, width, height, getPacking(layerInfo.data));
                             
                             ctx.putImageData(imageData, 0, 0);
                             
@@ -14205,43 +14261,7 @@ class DrawingEditor {
                         layerCanvas.width = width;
                         layerCanvas.height = height;
                         const ctx = layerCanvas.getContext('2d', { willReadFrequently: true });
-                        const imageData = ctx.createImageData(width, height);
-                        const data = imageData.data;
-                        
-                        // Convert packed bits to RGBA pixels
-                        const totalPixels = width * height;
-                        for (let pixelIndex = 0; pixelIndex < totalPixels; pixelIndex++) {
-                            const byteIndex = Math.floor(pixelIndex / 8);
-                            const bitIndex = 7 - (pixelIndex % 8); // MSB first
-                            const dataIndex = pixelIndex * 4;
-                            
-                            if (byteIndex < layerInfo.data.length) {
-                                const byte = layerInfo.data[byteIndex];
-                                const bitValue = (byte >> bitIndex) & 1;
-                                // Bit = 1 means WHITE, bit = 0 means BLACK
-                                const isWhite = bitValue === 1;
-                                
-                                if (isWhite) {
-                                    // White pixel
-                                    data[dataIndex] = 255;     // R
-                                    data[dataIndex + 1] = 255; // G
-                                    data[dataIndex + 2] = 255; // B
-                                    data[dataIndex + 3] = 255; // A (fully opaque)
-                                } else {
-                                    // Black pixel - fully opaque
-                                    data[dataIndex] = 0;       // R
-                                    data[dataIndex + 1] = 0;   // G
-                                    data[dataIndex + 2] = 0;   // B
-                                    data[dataIndex + 3] = 255; // A (fully opaque)
-                                }
-                            } else {
-                                // Default to white (transparent) for uninitialized pixels
-                                data[dataIndex] = 255;     // R
-                                data[dataIndex + 1] = 255; // G
-                                data[dataIndex + 2] = 255; // B
-                                data[dataIndex + 3] = 255; // A
-                            }
-                        }
+                        const imageData = KywyBitmapCodec.decodeToImageData(layerInfo.data, width, height, getPacking(layerInfo.data));
                         
                         ctx.putImageData(imageData, 0, 0);
                         
@@ -14292,36 +14312,7 @@ class DrawingEditor {
                     allFrameData.forEach((pixelData, frameIndex) => {
                         const frameCanvas = this.createEmptyFrame();
                         const ctx = frameCanvas.getContext('2d', { willReadFrequently: true });
-                        const imageData = ctx.createImageData(width, height);
-                        const data = imageData.data;
-                        
-                        // Convert packed bits to RGBA pixels
-                        const totalPixels = width * height;
-                        for (let pixelIndex = 0; pixelIndex < totalPixels; pixelIndex++) {
-                            const byteIndex = Math.floor(pixelIndex / 8);
-                            const bitIndex = 7 - (pixelIndex % 8); // MSB first
-                            const dataIndex = pixelIndex * 4;
-                            
-                            if (byteIndex < pixelData.length) {
-                                const byte = pixelData[byteIndex];
-                                const bitValue = (byte >> bitIndex) & 1;
-                                // Bit = 1 means WHITE, bit = 0 means BLACK
-                                const isWhite = bitValue === 1;
-                                
-                                const colorValue = isWhite ? 255 : 0; // White or black
-                                
-                                data[dataIndex] = colorValue;     // R
-                                data[dataIndex + 1] = colorValue; // G
-                                data[dataIndex + 2] = colorValue; // B
-                                data[dataIndex + 3] = 255;        // A (fully opaque)
-                            } else {
-                                // Default to white for uninitialized pixels
-                                data[dataIndex] = 255;     // R
-                                data[dataIndex + 1] = 255; // G
-                                data[dataIndex + 2] = 255; // B
-                                data[dataIndex + 3] = 255; // A (fully opaque)
-                            }
-                        }
+                        const imageData = KywyBitmapCodec.decodeToImageData(pixelData, width, height, getPacking(pixelData));
                         
                         ctx.putImageData(imageData, 0, 0);
                         this.frames.push(frameCanvas);
@@ -14413,6 +14404,11 @@ class DrawingEditor {
             case 'png':
                 this.exportPNG();
                 break;
+            default:
+                if (KywyExportFormats.has(format)) {
+                    this.downloadExportFiles(format);
+                }
+                break;
         }
     }
     
@@ -0,0 +1,183 @@
+/*
+ * KYWY Web Tools - Bitmap Codec
+ * Copyright (c) 2025 KOINSLOT, Inc.
+ * Licensed under the BSD 3-Clause License
+ */
+
+// Shared 1-bit bitmap packing used by the converter, animation generator and drawing editor.
+// Pixels are passed around as "masks": Uint8Arrays in row-major order where 1 = white, 0 = black.
+class KywyBitmapCodec {
+    // Default layout matches engine.display.drawBitmap: rows padded to whole bytes,
+    // left-most pixel in the most significant bit, set bits are white
+    static DEFAULT_OPTIONS = Object.freeze({
+        padRows: true,        // Pad every row (or column, when scanning vertically) to a byte boundary
+        scan: 'horizontal',   // 'horizontal' = row-major, 'vertical' = column-major (8 pixels tall per byte)
+        msbFirst: true,       // First pixel of each byte goes in bit 7
+        whiteIsOne: true      // Polarity: set bits are white pixels
+    });
+
+    static resolveOptions(options = {}) {
+        return { ...KywyBitmapCodec.DEFAULT_OPTIONS, ...options };
+    }
+
+    static byteLength(width, height, options = {}) {
+        const opts = KywyBitmapCodec.resolveOptions(options);
+        if (!opts.padRows) {
+            return Math.ceil((width * height) / 8);
+        }
+        const vertical = opts.scan === 'vertical';
+        const lineLength = vertical ? height : width;
+        const lineCount = vertical ? width : height;
+        return Math.ceil(lineLength / 8) * lineCount;
+    }
+
+    // Absolute bit offset of pixel (x, y) within the packed stream
+    static bitOffset(x, y, width, height, opts) {
+        const vertical = opts.scan === 'vertical';
+        const line = vertical ? x : y;
+        const position = vertical ? y : x;
+        const lineLength = vertical ? height : width;
+        const lineBits = opts.padRows ? Math.ceil(lineLength / 8) * 8 : lineLength;
+        return line * lineBits + position;
+    }
+
+    static bitMask(offset, opts) {
+        const bit = offset % 8;
+        return opts.msbFirst ? (0x80 >> bit) : (1 << bit);
+    }
+
+    static encode(mask, width, height, options = {}) {
+        const opts = KywyBitmapCodec.resolveOptions(options);
+        const bytes = new Uint8Array(KywyBitmapCodec.byteLength(width, height, opts));
+
+        // Start from an all-white bitmap so padding bits always read as background
+        if (opts.whiteIsOne) {
+            bytes.fill(0xFF);
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (mask[y * width + x]) continue; // White pixel, already set
+
+                const offset = KywyBitmapCodec.bitOffset(x, y, width, height, opts);
+                const byteIndex = Math.floor(offset / 8);
+                const bit = KywyBitmapCodec.bitMask(offset, opts);
+
+                if (opts.whiteIsOne) {
+                    bytes[byteIndex] &= ~bit;
+                } else {
+                    bytes[byteIndex] |= bit;
+                }
+            }
+        }
+
+        return bytes;
+    }
+
+    static decode(bytes, width, height, options = {}) {
+        const opts = KywyBitmapCodec.resolveOptions(options);
+        const mask = new Uint8Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const offset = KywyBitmapCodec.bitOffset(x, y, width, height, opts);
+                const byteIndex = Math.floor(offset / 8);
+
+                // Missing bytes (truncated arrays) decode as white
+                if (byteIndex >= bytes.length) {
+                    mask[y * width + x] = 1;
+                    continue;
+                }
+
+                const isSet = (bytes[byteIndex] & KywyBitmapCodec.bitMask(offset, opts)) !== 0;
+                mask[y * width + x] = isSet === opts.whiteIsOne ? 1 : 0;
+            }
+        }
+
+        return mask;
+    }
+
+    // Build a mask from ImageData, white = luminance (0.299 R + 0.587 G + 0.114 B) >= threshold.
+    // Alpha is ignored; callers flatten transparency first if it should read as a color.
+    static maskFromImageData(imageData, threshold = 128, invert = false) {
+        const { width, height, data } = imageData;
+        const mask = new Uint8Array(width * height);
+
+        for (let i = 0; i < width * height; i++) {
+            const p = i * 4;
+            const luminance = Math.round(0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]);
+            let isWhite = luminance >= threshold;
+            if (invert) isWhite = !isWhite;
+            mask[i] = isWhite ? 1 : 0;
+        }
+
+        return mask;
+    }
+
+    static maskToImageData(mask, width, height) {
+        const imageData = new ImageData(width, height);
+        const data = imageData.data;
+
+        for (let i = 0; i < width * height; i++) {
+            const color = mask[i] ? 255 : 0;
+            data[i * 4] = color;     // R
+            data[i * 4 + 1] = color; // G
+            data[i * 4 + 2] = color; // B
+            data[i * 4 + 3] = 255;   // A
+        }
+
+        return imageData;
+    }
+
+    static encodeImageData(imageData, threshold = 128, invert = false, options = {}) {
+        const mask = KywyBitmapCodec.maskFromImageData(imageData, threshold, invert);
+        return KywyBitmapCodec.encode(mask, imageData.width, imageData.height, options);
+    }
+
+    static decodeToImageData(bytes, width, height, options = {}) {
+        const mask = KywyBitmapCodec.decode(bytes, width, height, options);
+        return KywyBitmapCodec.maskToImageData(mask, width, height);
+    }
+
+    // Short description written into generated headers, e.g. "horizontal,padded,msb,white1"
+    static describe(options = {}) {
+        const opts = KywyBitmapCodec.resolveOptions(options);
+        return [
+            opts.scan,
+            opts.padRows ? 'padded' : 'continuous',
+            opts.msbFirst ? 'msb' : 'lsb',
+            opts.whiteIsOne ? 'white1' : 'black1'
+        ].join(',');
+    }
+
+    // Header comment line identifying the packing of the arrays that follow
+    static headerTag(options = {}) {
+        return `// KYWY_PACKING: ${KywyBitmapCodec.describe(options)}\n`;
+    }
+
+    // Read packing options back from a KYWY_PACKING comment, or null when the text has none
+    static parseHeaderTag(text) {
+        const match = text.match(/\/\/\s*KYWY_PACKING:\s*([\w,]+)/);
+        if (!match) return null;
+
+        const parts = match[1].split(',');
+        return KywyBitmapCodec.resolveOptions({
+            scan: parts.includes('vertical') ? 'vertical' : 'horizontal',
+            padRows: !parts.includes('continuous'),
+            msbFirst: !parts.includes('lsb'),
+            whiteIsOne: !parts.includes('black1')
+        });
+    }
+
+    // Guess the packing of an untagged array from its length. Headers written before the
+    // codec existed used a continuous bitstream, which only differs when width % 8 !== 0.
+    static inferOptions(byteCount, width, height) {
+        const continuousLength = KywyBitmapCodec.byteLength(width, height, { padRows: false });
+        const paddedLength = KywyBitmapCodec.byteLength(width, height, { padRows: true });
+
+        if (byteCount === continuousLength && continuousLength !== paddedLength) {
+            return KywyBitmapCodec.resolveOptions({ padRows: false });
+        }
+        return KywyBitmapCodec.resolveOptions();
+    }
+}
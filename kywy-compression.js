@@ -0,0 +1,254 @@
+/*
+ * KYWY Web Tools - Bitmap Compression
+ * Copyright (c) 2025 KOINSLOT, Inc.
+ * Licensed under the BSD 3-Clause License
+ */
+
+// Byte-level compressors for packed bitmaps, each paired with a small C++ decoder so
+// sketches can keep images compressed in flash and unpack them into a RAM buffer.
+class KywyCompression {
+    static FORMATS = {
+        rle: {
+            label: 'RLE',
+            description: '(count, value) byte pairs',
+            decoderFile: 'kywy_rle.hpp',
+            decoderFunction: 'kywy_rle_decode'
+        },
+        packbits: {
+            label: 'PackBits',
+            description: 'PackBits runs and literals',
+            decoderFile: 'kywy_packbits.hpp',
+            decoderFunction: 'kywy_packbits_decode'
+        },
+        lz: {
+            label: 'LZ',
+            description: 'LZSS, 12-bit offsets and 4-bit lengths',
+            decoderFile: 'kywy_lz.hpp',
+            decoderFunction: 'kywy_lz_decode'
+        }
+    };
+
+    static encode(bytes, format) {
+        switch (format) {
+            case 'rle':
+                return KywyCompression.encodeRLE(bytes);
+            case 'packbits':
+                return KywyCompression.encodePackBits(bytes);
+            case 'lz':
+                return KywyCompression.encodeLZ(bytes);
+            default:
+                return bytes;
+        }
+    }
+
+    static decode(bytes, format, outputLength) {
+        switch (format) {
+            case 'rle':
+                return KywyCompression.decodeRLE(bytes, outputLength);
+            case 'packbits':
+                return KywyCompression.decodePackBits(bytes, outputLength);
+            case 'lz':
+                return KywyCompression.decodeLZ(bytes, outputLength);
+            default:
+                return bytes;
+        }
+    }
+
+    // RLE: every run is a count (1-255) followed by the repeated byte
+    static encodeRLE(bytes) {
+        const out = [];
+        let i = 0;
+        while (i < bytes.length) {
+            let run = 1;
+            while (i + run < bytes.length && bytes[i + run] === bytes[i] && run < 255) run++;
+            out.push(run, bytes[i]);
+            i += run;
+        }
+        return new Uint8Array(out);
+    }
+
+    static decodeRLE(bytes, outputLength) {
+        const out = new Uint8Array(outputLength);
+        let pos = 0;
+        for (let i = 0; i + 1 < bytes.length && pos < outputLength; i += 2) {
+            for (let n = 0; n < bytes[i] && pos < outputLength; n++) out[pos++] = bytes[i + 1];
+        }
+        return out;
+    }
+
+    // PackBits: header 0-127 copies header+1 literal bytes, 129-255 repeats the next byte 257-header times
+    static encodePackBits(bytes) {
+        const out = [];
+        let i = 0;
+        while (i < bytes.length) {
+            let run = 1;
+            while (i + run < bytes.length && bytes[i + run] === bytes[i] && run < 128) run++;
+
+            if (run >= 2) {
+                out.push(257 - run, bytes[i]);
+                i += run;
+                continue;
+            }
+
+            // Collect literals until a run of at least 2 starts (or 128 literals)
+            const start = i;
+            while (i < bytes.length && i - start < 128) {
+                if (i + 1 < bytes.length && bytes[i + 1] === bytes[i]) break;
+                i++;
+            }
+            if (i === start) i++; // Single trailing byte
+            out.push(i - start - 1, ...bytes.slice(start, i));
+        }
+        return new Uint8Array(out);
+    }
+
+    static decodePackBits(bytes, outputLength) {
+        const out = new Uint8Array(outputLength);
+        let pos = 0;
+        let i = 0;
+        while (i < bytes.length && pos < outputLength) {
+            const header = bytes[i++];
+            if (header < 128) {
+                for (let n = 0; n <= header && i < bytes.length && pos < outputLength; n++) out[pos++] = bytes[i++];
+            } else if (header > 128) {
+                const value = bytes[i++];
+                for (let n = 0; n < 257 - header && pos < outputLength; n++) out[pos++] = value;
+            }
+        }
+        return out;
+    }
+
+    // LZSS: a flag byte announces the next 8 items, LSB first. A set bit is a literal byte;
+    // a clear bit is a 2-byte match: 12-bit distance back (1-4096) and 4-bit length (3-18).
+    static LZ_MIN_MATCH = 3;
+    static LZ_MAX_MATCH = 18;
+    static LZ_WINDOW = 4096;
+
+    static encodeLZ(bytes) {
+        const out = [];
+        let flagIndex = -1;
+        let flagBit = 8;
+        let i = 0;
+
+        const beginItem = () => {
+            if (flagBit === 8) {
+                flagIndex = out.length;
+                out.push(0);
+                flagBit = 0;
+            }
+        };
+
+        while (i < bytes.length) {
+            // Longest match in the window; bitmaps are small so a direct search is fine
+            let bestLength = 0;
+            let bestDistance = 0;
+            const windowStart = Math.max(0, i - KywyCompression.LZ_WINDOW);
+            const maxLength = Math.min(KywyCompression.LZ_MAX_MATCH, bytes.length - i);
+            for (let j = i - 1; j >= windowStart && bestLength < maxLength; j--) {
+                let length = 0;
+                while (length < maxLength && bytes[j + length] === bytes[i + length]) length++;
+                if (length > bestLength) {
+                    bestLength = length;
+                    bestDistance = i - j;
+                }
+            }
+
+            beginItem();
+            if (bestLength >= KywyCompression.LZ_MIN_MATCH) {
+                const distance = bestDistance - 1;
+                const length = bestLength - KywyCompression.LZ_MIN_MATCH;
+                out.push(distance & 0xFF, ((distance >> 8) << 4) | length);
+                i += bestLength;
+            } else {
+                out[flagIndex] |= 1 << flagBit;
+                out.push(bytes[i]);
+                i++;
+            }
+            flagBit++;
+        }
+        return new Uint8Array(out);
+    }
+
+    static decodeLZ(bytes, outputLength) {
+        const out = new Uint8Array(outputLength);
+        let pos = 0;
+        let i = 0;
+        while (i < bytes.length && pos < outputLength) {
+            const flags = bytes[i++];
+            for (let bit = 0; bit < 8 && i < bytes.length && pos < outputLength; bit++) {
+                if (flags & (1 << bit)) {
+                    out[pos++] = bytes[i++];
+                } else {
+                    const distance = (bytes[i] | ((bytes[i + 1] >> 4) << 8)) + 1;
+                    const length = (bytes[i + 1] & 0x0F) + KywyCompression.LZ_MIN_MATCH;
+                    i += 2;
+                    for (let n = 0; n < length && pos < outputLength; n++) {
+                        out[pos] = out[pos - distance];
+                        pos++;
+                    }
+                }
+            }
+        }
+        return out;
+    }
+
+    // C++ header with the matching decoder; each returns the number of bytes written
+    static decoderSource(format) {
+        const info = KywyCompression.FORMATS[format];
+        if (!info) return '';
+
+        const header = `// ${info.decoderFile} - ${info.label} bitmap decoder (${info.description})\n` +
+            `// Generated by KYWY Web Tools\n` +
+            `#pragma once\n\n` +
+            `#include <stddef.h>\n` +
+            `#include <stdint.h>\n\n`;
+        const signature = `inline size_t ${info.decoderFunction}(const uint8_t *src, size_t srcLen, uint8_t *dst, size_t dstLen) {\n`;
+
+        switch (format) {
+            case 'rle':
+                return header + signature +
+                    `  size_t out = 0;\n` +
+                    `  for (size_t i = 0; i + 1 < srcLen && out < dstLen; i += 2) {\n` +
+                    `    for (uint8_t n = 0; n < src[i] && out < dstLen; n++) dst[out++] = src[i + 1];\n` +
+                    `  }\n` +
+                    `  return out;\n` +
+                    `}\n`;
+            case 'packbits':
+                return header + signature +
+                    `  size_t out = 0, i = 0;\n` +
+                    `  while (i < srcLen && out < dstLen) {\n` +
+                    `    uint8_t h = src[i++];\n` +
+                    `    if (h < 128) {\n` +
+                    `      for (int n = 0; n <= h && i < srcLen && out < dstLen; n++) dst[out++] = src[i++];\n` +
+                    `    } else if (h > 128 && i < srcLen) {\n` +
+                    `      uint8_t v = src[i++];\n` +
+                    `      for (int n = 0; n < 257 - h && out < dstLen; n++) dst[out++] = v;\n` +
+                    `    }\n` +
+                    `  }\n` +
+                    `  return out;\n` +
+                    `}\n`;
+            case 'lz':
+                return header + signature +
+                    `  size_t out = 0, i = 0;\n` +
+                    `  while (i < srcLen && out < dstLen) {\n` +
+                    `    uint8_t flags = src[i++];\n` +
+                    `    for (uint8_t bit = 0; bit < 8 && i < srcLen && out < dstLen; bit++) {\n` +
+                    `      if (flags & (1 << bit)) {\n` +
+                    `        dst[out++] = src[i++];\n` +
+                    `      } else {\n` +
+                    `        if (i + 1 >= srcLen) return out;\n` +
+                    `        size_t dist = (src[i] | ((src[i + 1] >> 4) << 8)) + 1;\n` +
+                    `        uint8_t len = (src[i + 1] & 0x0F) + ${KywyCompression.LZ_MIN_MATCH};\n` +
+                    `        i += 2;\n` +
+                    `        if (dist > out) return out; // Corrupt stream\n` +
+                    `        for (uint8_t n = 0; n < len && out < dstLen; n++, out++) dst[out] = dst[out - dist];\n` +
+                    `      }\n` +
+                    `    }\n` +
+                    `  }\n` +
+                    `  return out;\n` +
+                    `}\n`;
+            default:
+                return '';
+        }
+    }
+}
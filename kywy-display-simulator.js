@@ -0,0 +1,228 @@
+/*
+ * KYWY Web Tools - Display Simulator
+ * Copyright (c) 2025 KOINSLOT, Inc.
+ * Licensed under the BSD 3-Clause License
+ */
+
+// Shared preview that shows bitmaps the way the Kywy's Sharp memory LCD does: reflective
+// gray-green whites, dark gray blacks and visible gaps between pixels, optionally inside the
+// device bezel and next to a copy at the panel's real physical size. The view settings are
+// stored once for all tools, so every preview on the site looks the same.
+class KywyDisplaySimulator {
+    // Sharp LS013B7DH05: 144 x 168 pixels at a 0.14 mm pitch
+    static DISPLAY = { width: 144, height: 168, pitchMm: 0.14 };
+
+    // Approximate colors of the panel under room light, and of the gaps between pixel electrodes
+    static LCD_COLORS = {
+        white: [188, 194, 178],
+        black: [40, 44, 42],
+        gap: [160, 166, 150]
+    };
+
+    static GAP_RATIO = 0.12; // Share of the pixel pitch not covered by a pixel
+    static BEZEL = { side: 10, top: 10, bottom: 24, color: '#26282b', edge: '#44474d' }; // Sizes in display pixels
+
+    static STORAGE_KEY = 'kywyDisplaySimulator';
+    static DEFAULTS = { mode: 'lcd', bezel: false, actualSize: false, dpi: 96 };
+
+    constructor(container, options = {}) {
+        this.container = container;
+        this.scale = options.scale || 2;
+        this.source = null; // ImageData of the last rendered bitmap
+        this.settings = KywyDisplaySimulator.loadSettings();
+        this.build();
+    }
+
+    static loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(KywyDisplaySimulator.STORAGE_KEY) || '{}');
+            return { ...KywyDisplaySimulator.DEFAULTS, ...stored };
+        } catch (e) {
+            return { ...KywyDisplaySimulator.DEFAULTS };
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(KywyDisplaySimulator.STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            // Private browsing or full storage: the settings just won't persist
+        }
+    }
+
+    build() {
+        this.container.classList.add('kywy-sim');
+        this.container.innerHTML = `
+            <div class="kywy-sim-controls">
+                <select class="kywy-sim-mode" title="Preview style">
+                    <option value="lcd">Memory LCD</option>
+                    <option value="pixels">Plain pixels</option>
+                </select>
+                <label><input type="checkbox" class="kywy-sim-bezel"> Bezel</label>
+                <label><input type="checkbox" class="kywy-sim-actual-toggle"> Actual size</label>
+                <label class="kywy-sim-dpi" title="Pixels per inch of this screen, so the actual-size view matches a real Kywy held against it">
+                    Screen DPI <input type="number" class="kywy-sim-dpi-input" min="50" max="600" step="1">
+                </label>
+            </div>
+            <div class="kywy-sim-views">
+                <canvas class="kywy-sim-zoom"></canvas>
+                <figure class="kywy-sim-actual">
+                    <canvas></canvas>
+                    <figcaption></figcaption>
+                </figure>
+            </div>`;
+
+        this.modeSelect = this.container.querySelector('.kywy-sim-mode');
+        this.bezelToggle = this.container.querySelector('.kywy-sim-bezel');
+        this.actualToggle = this.container.querySelector('.kywy-sim-actual-toggle');
+        this.dpiInput = this.container.querySelector('.kywy-sim-dpi-input');
+        this.zoomCanvas = this.container.querySelector('.kywy-sim-zoom');
+        this.actualFigure = this.container.querySelector('.kywy-sim-actual');
+        this.actualCanvas = this.actualFigure.querySelector('canvas');
+
+        this.modeSelect.value = this.settings.mode;
+        this.bezelToggle.checked = this.settings.bezel;
+        this.actualToggle.checked = this.settings.actualSize;
+        this.dpiInput.value = this.settings.dpi;
+
+        const update = () => {
+            const dpi = parseFloat(this.dpiInput.value);
+            this.settings = {
+                mode: this.modeSelect.value,
+                bezel: this.bezelToggle.checked,
+                actualSize: this.actualToggle.checked,
+                dpi: dpi >= 50 && dpi <= 600 ? dpi : this.settings.dpi
+            };
+            this.saveSettings();
+            this.redraw();
+        };
+        [this.modeSelect, this.bezelToggle, this.actualToggle].forEach(control => control.addEventListener('change', update));
+        this.dpiInput.addEventListener('input', update);
+
+        this.redraw();
+    }
+
+    setScale(scale) {
+        this.scale = scale;
+        this.redraw();
+    }
+
+    // Show a bitmap (ImageData, canvas or image). Gray values land between the panel's black
+    // and white, which is how the converter's gray preview reads on the device.
+    render(source, scale = this.scale) {
+        this.scale = scale;
+        this.source = KywyDisplaySimulator.toImageData(source);
+        this.redraw();
+    }
+
+    clear() {
+        this.source = null;
+        this.redraw();
+    }
+
+    redraw() {
+        const { mode, bezel, actualSize, dpi } = this.settings;
+        this.container.querySelector('.kywy-sim-dpi').style.display = actualSize ? '' : 'none';
+        this.actualFigure.style.display = actualSize && this.source ? '' : 'none';
+        this.zoomCanvas.style.display = this.source ? '' : 'none';
+        if (!this.source) return;
+
+        KywyDisplaySimulator.drawDevice(this.zoomCanvas, this.source, this.scale, mode, bezel);
+        this.zoomCanvas.style.width = '';
+        this.zoomCanvas.style.height = '';
+
+        if (actualSize) {
+            // Render sharp at the backing resolution and let the browser average it down to
+            // physical size, the way the eye blends the pixel grid at arm's length
+            const cssPerPixel = KywyDisplaySimulator.DISPLAY.pitchMm / 25.4 * dpi;
+            const pixelRatio = typeof window !== 'undefined' && window.devicePixelRatio ? window.devicePixelRatio : 1;
+            const renderScale = Math.max(1, Math.ceil(cssPerPixel * pixelRatio));
+            KywyDisplaySimulator.drawDevice(this.actualCanvas, this.source, renderScale, mode, bezel);
+            this.actualCanvas.style.width = `${this.actualCanvas.width / renderScale * cssPerPixel}px`;
+            this.actualCanvas.style.height = `${this.actualCanvas.height / renderScale * cssPerPixel}px`;
+
+            const size = KywyDisplaySimulator.physicalSize(this.source.width, this.source.height);
+            this.actualFigure.querySelector('figcaption').textContent = `1:1 device scale (${size}) at ${dpi} DPI`;
+        }
+    }
+
+    static physicalSize(width, height) {
+        const pitch = KywyDisplaySimulator.DISPLAY.pitchMm;
+        return `${(width * pitch).toFixed(1)} × ${(height * pitch).toFixed(1)} mm`;
+    }
+
+    static toImageData(source) {
+        if (typeof ImageData !== 'undefined' && source instanceof ImageData) return source;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, 0, 0);
+        return ctx.getImageData(0, 0, source.width, source.height);
+    }
+
+    // Draw the bitmap at `scale` canvas pixels per display pixel. With the bezel the bitmap sits
+    // at the top left of a full 144 x 168 screen, as drawBitmap(0, 0, ...) would place it.
+    static drawDevice(canvas, imageData, scale, mode, bezel) {
+        const display = KywyDisplaySimulator.DISPLAY;
+        const frame = KywyDisplaySimulator.BEZEL;
+        const screenWidth = bezel ? display.width : imageData.width;
+        const screenHeight = bezel ? display.height : imageData.height;
+        const left = bezel ? frame.side : 0;
+        const top = bezel ? frame.top : 0;
+
+        canvas.width = (screenWidth + (bezel ? frame.side * 2 : 0)) * scale;
+        canvas.height = (screenHeight + (bezel ? frame.top + frame.bottom : 0)) * scale;
+        const ctx = canvas.getContext('2d');
+
+        if (bezel) {
+            const radius = frame.side * scale * 0.6;
+            ctx.fillStyle = frame.color;
+            ctx.strokeStyle = frame.edge;
+            ctx.lineWidth = Math.max(1, scale / 2);
+            ctx.beginPath();
+            if (ctx.roundRect) {
+                ctx.roundRect(0, 0, canvas.width, canvas.height, radius);
+            } else {
+                ctx.rect(0, 0, canvas.width, canvas.height);
+            }
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        ctx.putImageData(KywyDisplaySimulator.renderScreen(imageData, screenWidth, screenHeight, scale, mode), left * scale, top * scale);
+    }
+
+    // Pixel-level rendering of the panel; areas outside the bitmap show as cleared (white) pixels
+    static renderScreen(imageData, screenWidth, screenHeight, scale, mode) {
+        const colors = KywyDisplaySimulator.LCD_COLORS;
+        const isLCD = mode === 'lcd';
+        const gap = isLCD && scale >= 3 ? Math.max(1, Math.round(scale * KywyDisplaySimulator.GAP_RATIO)) : 0;
+        const output = new ImageData(screenWidth * scale, screenHeight * scale);
+        const out = output.data;
+        const { width, height, data } = imageData;
+
+        for (let y = 0; y < screenHeight; y++) {
+            for (let x = 0; x < screenWidth; x++) {
+                const value = x < width && y < height ? data[(y * width + x) * 4] / 255 : 1;
+                const color = isLCD
+                    ? colors.black.map((black, channel) => Math.round(black + (colors.white[channel] - black) * value))
+                    : [value * 255, value * 255, value * 255];
+
+                for (let dy = 0; dy < scale; dy++) {
+                    let offset = ((y * scale + dy) * screenWidth * scale + x * scale) * 4;
+                    for (let dx = 0; dx < scale; dx++, offset += 4) {
+                        const fill = dx >= scale - gap || dy >= scale - gap ? colors.gap : color;
+                        out[offset] = fill[0];
+                        out[offset + 1] = fill[1];
+                        out[offset + 2] = fill[2];
+                        out[offset + 3] = 255;
+                    }
+                }
+            }
+        }
+
+        return output;
+    }
+}
@@ -0,0 +1,219 @@
+/*
+ * KYWY Web Tools - Export Formats
+ * Copyright (c) 2025 KOINSLOT, Inc.
+ * Licensed under the BSD 3-Clause License
+ */
+
+// Output targets other than the tools' own C++ headers, shared by the converter, animation
+// generator and drawing editor. Every exporter takes a base name and a list of bitmaps
+// ({ name, width, height, mask }, masks as produced by KywyBitmapCodec) and returns files.
+// Animations may pass options.durations (milliseconds per bitmap) for the code targets.
+class KywyExportFormats {
+    static FORMATS = {
+        rust: {
+            label: 'Rust (embedded-graphics)',
+            extension: 'rs',
+            comment: '//',
+            singleImage: false,
+            binary: false
+        },
+        micropython: {
+            label: 'MicroPython (framebuf)',
+            extension: 'py',
+            comment: '#',
+            singleImage: false,
+            binary: false
+        },
+        xbm: {
+            label: 'XBM image',
+            extension: 'xbm',
+            comment: '//',
+            singleImage: true,
+            binary: false
+        },
+        pbm: {
+            label: 'PBM image (P4)',
+            extension: 'pbm',
+            comment: '#',
+            singleImage: true,
+            binary: true
+        }
+    };
+
+    // XBM and PBM are LSB/MSB-first with set bits black; the code targets use the Kywy packing
+    static PACKING = {
+        rust: {},
+        micropython: {},
+        xbm: { msbFirst: false, whiteIsOne: false },
+        pbm: { whiteIsOne: false }
+    };
+
+    static has(format) {
+        return Object.prototype.hasOwnProperty.call(KywyExportFormats.FORMATS, format);
+    }
+
+    // Append the registered formats to a tool's format <select>
+    static addOptions(select) {
+        const group = document.createElement('optgroup');
+        group.label = 'Other targets';
+        Object.entries(KywyExportFormats.FORMATS).forEach(([value, format]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = format.label;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    }
+
+    // Returns [{ name, content, mimeType }]; single-image formats give one file per bitmap
+    static build(format, baseName, bitmaps, options = {}) {
+        const info = KywyExportFormats.FORMATS[format];
+        const mimeType = info.binary ? 'application/octet-stream' : 'text/plain';
+        const fileName = (name) => `${name}.${info.extension}`;
+
+        switch (format) {
+            case 'rust':
+                return [{ name: fileName(baseName), content: KywyExportFormats.buildRust(baseName, bitmaps, options), mimeType }];
+            case 'micropython':
+                return [{ name: fileName(baseName), content: KywyExportFormats.buildMicroPython(baseName, bitmaps, options), mimeType }];
+            case 'xbm':
+                return bitmaps.map(bitmap => ({ name: fileName(bitmap.name), content: KywyExportFormats.buildXBM(bitmap), mimeType }));
+            case 'pbm':
+                return bitmaps.map(bitmap => ({ name: fileName(bitmap.name), content: KywyExportFormats.buildPBM(bitmap), mimeType }));
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    // Text for a tool's code view; binary files show their header and size
+    static preview(format, files) {
+        const info = KywyExportFormats.FORMATS[format];
+        const describe = (file) => {
+            if (typeof file.content === 'string') return file.content;
+            const text = new TextDecoder().decode(file.content);
+            const header = text.split('\n').slice(0, 3).join('\n');
+            return `${header}\n${info.comment} ... ${file.content.length} bytes total, binary pixel data follows`;
+        };
+
+        if (files.length === 1) return describe(files[0]);
+        return files.map(file => `${info.comment} ===== ${file.name} =====\n${describe(file)}`).join('\n\n');
+    }
+
+    // One-line hint for the tools' usage panels
+    static usage(format, baseName, bitmaps) {
+        const name = bitmaps.length === 1 ? bitmaps[0].name : `${baseName}_frames`;
+        switch (format) {
+            case 'rust':
+                return bitmaps.length === 1
+                    ? `Image::new(&${name.toUpperCase()}, Point::new(0, 0)).draw(&mut display)?;`
+                    : `Image::new(&${baseName.toUpperCase()}_FRAMES[frame], Point::new(0, 0)).draw(&mut display)?;`;
+            case 'micropython':
+                return bitmaps.length === 1 ? `display.blit(${name}, 0, 0)` : `display.blit(${name}[frame], 0, 0)`;
+            case 'xbm':
+                return `#include "${bitmaps[0].name}.xbm"  // ${bitmaps[0].name}_bits, ${bitmaps[0].name}_width, ${bitmaps[0].name}_height`;
+            case 'pbm':
+                return `Open ${bitmaps[0].name}.pbm in any image editor or viewer`;
+            default:
+                return '';
+        }
+    }
+
+    static packBitmap(format, bitmap) {
+        return KywyBitmapCodec.encode(bitmap.mask, bitmap.width, bitmap.height, KywyExportFormats.PACKING[format]);
+    }
+
+    static hexRows(bytes, indent, perRow = 12) {
+        const rows = [];
+        for (let i = 0; i < bytes.length; i += perRow) {
+            rows.push(indent + Array.from(bytes.slice(i, i + perRow), b => `0x${b.toString(16).padStart(2, '0')}`).join(', '));
+        }
+        return rows;
+    }
+
+    // ImageRaw::new is a const fn from embedded-graphics 0.8 on; the data layout is BinaryColor's
+    static buildRust(baseName, bitmaps, options = {}) {
+        let code = `// Generated by KYWY Web Tools\n`;
+        code += KywyBitmapCodec.headerTag();
+        code += `// Set bits are white (BinaryColor::On); rows are padded to whole bytes\n\n`;
+        code += `use embedded_graphics::{image::ImageRaw, pixelcolor::BinaryColor};\n\n`;
+
+        bitmaps.forEach(bitmap => {
+            const name = bitmap.name.toUpperCase();
+            const bytes = KywyExportFormats.packBitmap('rust', bitmap);
+            code += `pub const ${name}_WIDTH: u32 = ${bitmap.width};\n`;
+            code += `pub const ${name}_HEIGHT: u32 = ${bitmap.height};\n`;
+            code += `pub const ${name}_DATA: &[u8] = &[\n`;
+            code += KywyExportFormats.hexRows(bytes, '    ').join(',\n') + ',\n';
+            code += `];\n`;
+            code += `pub const ${name}: ImageRaw<'static, BinaryColor> = ImageRaw::new(${name}_DATA, ${name}_WIDTH);\n\n`;
+        });
+
+        if (bitmaps.length > 1) {
+            const prefix = baseName.toUpperCase();
+            code += `pub const ${prefix}_FRAMES: [ImageRaw<'static, BinaryColor>; ${bitmaps.length}] = [\n`;
+            code += bitmaps.map(bitmap => `    ${bitmap.name.toUpperCase()}`).join(',\n') + ',\n';
+            code += `];\n\n`;
+        }
+
+        if (options.durations) {
+            code += `pub const ${baseName.toUpperCase()}_DURATIONS_MS: [u16; ${options.durations.length}] = [${options.durations.join(', ')}];\n\n`;
+        }
+
+        code += `// Usage:\n`;
+        code += `// ${KywyExportFormats.usage('rust', baseName, bitmaps)}\n`;
+        return code;
+    }
+
+    // framebuf.MONO_HLSB is horizontal, MSB first with padded rows - the Kywy packing
+    static buildMicroPython(baseName, bitmaps, options = {}) {
+        let code = `# Generated by KYWY Web Tools\n`;
+        code += `# KYWY_PACKING: ${KywyBitmapCodec.describe()}\n`;
+        code += `# Set bits are white (color 1)\n`;
+        code += `import framebuf\n\n`;
+
+        bitmaps.forEach(bitmap => {
+            const prefix = bitmap.name.toUpperCase();
+            const bytes = KywyExportFormats.packBitmap('micropython', bitmap);
+            code += `${prefix}_WIDTH = ${bitmap.width}\n`;
+            code += `${prefix}_HEIGHT = ${bitmap.height}\n`;
+            code += `${prefix}_DATA = bytearray(\n`;
+            for (let i = 0; i < bytes.length; i += 16) {
+                const chunk = Array.from(bytes.slice(i, i + 16), b => `\\x${b.toString(16).padStart(2, '0')}`).join('');
+                code += `    b'${chunk}'\n`;
+            }
+            if (bytes.length === 0) code += `    b''\n`;
+            code += `)\n`;
+            code += `${bitmap.name} = framebuf.FrameBuffer(${prefix}_DATA, ${prefix}_WIDTH, ${prefix}_HEIGHT, framebuf.MONO_HLSB)\n\n`;
+        });
+
+        if (bitmaps.length > 1) {
+            code += `${baseName}_frames = [${bitmaps.map(bitmap => bitmap.name).join(', ')}]\n\n`;
+        }
+
+        if (options.durations) {
+            code += `${baseName}_durations_ms = [${options.durations.join(', ')}]\n\n`;
+        }
+
+        code += `# Usage:\n`;
+        code += `# ${KywyExportFormats.usage('micropython', baseName, bitmaps)}\n`;
+        return code;
+    }
+
+    static buildXBM(bitmap) {
+        const bytes = KywyExportFormats.packBitmap('xbm', bitmap);
+        let code = `#define ${bitmap.name}_width ${bitmap.width}\n`;
+        code += `#define ${bitmap.name}_height ${bitmap.height}\n`;
+        code += `static unsigned char ${bitmap.name}_bits[] = {\n`;
+        code += KywyExportFormats.hexRows(bytes, '   ').join(',\n') + ' };\n';
+        return code;
+    }
+
+    static buildPBM(bitmap) {
+        const header = new TextEncoder().encode(`P4\n# ${bitmap.name}, generated by KYWY Web Tools\n${bitmap.width} ${bitmap.height}\n`);
+        const pixels = KywyExportFormats.packBitmap('pbm', bitmap);
+        const file = new Uint8Array(header.length + pixels.length);
+        file.set(header, 0);
+        file.set(pixels, header.length);
+        return file;
+    }
+}
@@ -0,0 +1,351 @@
+/*
+ * KYWY Web Tools - GIF Encoder / Decoder
+ * Copyright (c) 2025 KOINSLOT, Inc.
+ * Licensed under the BSD 3-Clause License
+ */
+
+// Self-contained animated GIF89a encoder for 1-bit frames.
+// Frames are masks (Uint8Array, row-major, 1 = white) as produced by KywyBitmapCodec.
+class KywyGifEncoder {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.loopCount = options.loopCount !== undefined ? options.loopCount : 0; // 0 = loop forever
+        this.frames = [];
+    }
+
+    addFrame(mask, delayMs) {
+        this.frames.push({ mask, delayMs });
+    }
+
+    toUint8Array() {
+        const out = [];
+        const writeShort = (value) => out.push(value & 0xFF, (value >> 8) & 0xFF);
+        const writeString = (text) => {
+            for (let i = 0; i < text.length; i++) out.push(text.charCodeAt(i));
+        };
+
+        // Header and logical screen descriptor with a 2-entry global color table
+        writeString('GIF89a');
+        writeShort(this.width);
+        writeShort(this.height);
+        out.push(0x80, 0x00, 0x00);
+        out.push(0x00, 0x00, 0x00); // Index 0: black
+        out.push(0xFF, 0xFF, 0xFF); // Index 1: white
+
+        // NETSCAPE2.0 application extension for looping
+        out.push(0x21, 0xFF, 0x0B);
+        writeString('NETSCAPE2.0');
+        out.push(0x03, 0x01);
+        writeShort(this.loopCount);
+        out.push(0x00);
+
+        this.frames.forEach(frame => {
+            // Graphics control extension: delay in hundredths of a second
+            out.push(0x21, 0xF9, 0x04, 0x00);
+            writeShort(Math.max(1, Math.round(frame.delayMs / 10)));
+            out.push(0x00, 0x00);
+
+            // Image descriptor covering the full frame, no local color table
+            out.push(0x2C);
+            writeShort(0);
+            writeShort(0);
+            writeShort(this.width);
+            writeShort(this.height);
+            out.push(0x00);
+
+            // GIF requires a minimum code size of 2 even for 2-color images
+            const minCodeSize = 2;
+            out.push(minCodeSize);
+            const encoded = KywyGifEncoder.lzwEncode(frame.mask, minCodeSize);
+            for (let i = 0; i < encoded.length; i += 255) {
+                const block = encoded.slice(i, i + 255);
+                out.push(block.length, ...block);
+            }
+            out.push(0x00);
+        });
+
+        out.push(0x3B); // Trailer
+        return new Uint8Array(out);
+    }
+
+    toBlob() {
+        return new Blob([this.toUint8Array()], { type: 'image/gif' });
+    }
+
+    static lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let dictionary = new Map();
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        if (indices.length === 0) {
+            emit(endCode);
+            if (bitCount > 0) output.push(bitBuffer & 0xFF);
+            return output;
+        }
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const pixel = indices[i];
+            const key = (prefix << 8) | pixel;
+
+            if (dictionary.has(key)) {
+                prefix = dictionary.get(key);
+                continue;
+            }
+
+            emit(prefix);
+
+            if (nextCode < 4096) {
+                dictionary.set(key, nextCode++);
+                // Widen codes once the decoder's table is about to outgrow them
+                if (nextCode > (1 << codeSize) && codeSize < 12) {
+                    codeSize++;
+                }
+            } else {
+                // Table full: reset so the decoder rebuilds from scratch
+                emit(clearCode);
+                dictionary = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+
+            prefix = pixel;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) output.push(bitBuffer & 0xFF);
+
+        return output;
+    }
+}
+
+// Animated GIF decoder used where the browser has no ImageDecoder (WebCodecs) support.
+// Produces fully composited RGBA frames with their delays.
+class KywyGifDecoder {
+    static decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let pos = 0;
+        const readShort = () => {
+            const value = bytes[pos] | (bytes[pos + 1] << 8);
+            pos += 2;
+            return value;
+        };
+        const readColorTable = (size) => {
+            const table = bytes.slice(pos, pos + size * 3);
+            pos += size * 3;
+            return table;
+        };
+        const skipSubBlocks = () => {
+            while (bytes[pos] !== 0) pos += bytes[pos] + 1;
+            pos++;
+        };
+
+        const signature = String.fromCharCode(...bytes.slice(0, 6));
+        if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+            throw new Error('Not a GIF file');
+        }
+        pos = 6;
+
+        const width = readShort();
+        const height = readShort();
+        const screenFlags = bytes[pos++];
+        const backgroundIndex = bytes[pos++];
+        pos++; // Pixel aspect ratio
+        const globalColorTable = (screenFlags & 0x80) ? readColorTable(2 << (screenFlags & 0x07)) : null;
+
+        const canvas = new Uint8ClampedArray(width * height * 4);
+        const frames = [];
+        let control = { delayMs: 100, disposal: 0, transparentIndex: -1 };
+
+        while (pos < bytes.length) {
+            const blockType = bytes[pos++];
+
+            if (blockType === 0x3B) break; // Trailer
+
+            if (blockType === 0x21) {
+                const label = bytes[pos++];
+                if (label === 0xF9) {
+                    // Graphics control extension
+                    pos++; // Block size
+                    const flags = bytes[pos++];
+                    const delay = readShort();
+                    const transparentIndex = bytes[pos++];
+                    pos++; // Block terminator
+                    control = {
+                        delayMs: (delay || 10) * 10,
+                        disposal: (flags >> 2) & 0x07,
+                        transparentIndex: (flags & 0x01) ? transparentIndex : -1
+                    };
+                } else {
+                    skipSubBlocks();
+                }
+                continue;
+            }
+
+            if (blockType !== 0x2C) {
+                throw new Error('Corrupt GIF block');
+            }
+
+            // Image descriptor
+            const left = readShort();
+            const top = readShort();
+            const frameWidth = readShort();
+            const frameHeight = readShort();
+            const frameFlags = bytes[pos++];
+            const interlaced = (frameFlags & 0x40) !== 0;
+            const colorTable = (frameFlags & 0x80) ? readColorTable(2 << (frameFlags & 0x07)) : globalColorTable;
+
+            const minCodeSize = bytes[pos++];
+            const data = [];
+            while (bytes[pos] !== 0) {
+                const length = bytes[pos++];
+                for (let i = 0; i < length; i++) data.push(bytes[pos++]);
+            }
+            pos++;
+
+            const indices = KywyGifDecoder.lzwDecode(data, minCodeSize, frameWidth * frameHeight);
+            const previous = control.disposal === 3 ? new Uint8ClampedArray(canvas) : null;
+
+            // Row order for interlaced images: passes starting at 0, 4, 2, 1
+            const rows = [];
+            if (interlaced) {
+                [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+                    for (let y = start; y < frameHeight; y += step) rows.push(y);
+                });
+            } else {
+                for (let y = 0; y < frameHeight; y++) rows.push(y);
+            }
+
+            rows.forEach((y, rowIndex) => {
+                for (let x = 0; x < frameWidth; x++) {
+                    const colorIndex = indices[rowIndex * frameWidth + x];
+                    if (colorIndex === control.transparentIndex || !colorTable) continue;
+                    const canvasX = left + x;
+                    const canvasY = top + y;
+                    if (canvasX >= width || canvasY >= height) continue;
+                    const offset = (canvasY * width + canvasX) * 4;
+                    canvas[offset] = colorTable[colorIndex * 3];
+                    canvas[offset + 1] = colorTable[colorIndex * 3 + 1];
+                    canvas[offset + 2] = colorTable[colorIndex * 3 + 2];
+                    canvas[offset + 3] = 255;
+                }
+            });
+
+            frames.push({
+                imageData: new ImageData(new Uint8ClampedArray(canvas), width, height),
+                delayMs: control.delayMs
+            });
+
+            // Apply the disposal method before the next frame is drawn
+            if (control.disposal === 2) {
+                for (let y = top; y < Math.min(height, top + frameHeight); y++) {
+                    for (let x = left; x < Math.min(width, left + frameWidth); x++) {
+                        canvas.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 4);
+                    }
+                }
+            } else if (control.disposal === 3 && previous) {
+                canvas.set(previous);
+            }
+
+            control = { delayMs: 100, disposal: 0, transparentIndex: -1 };
+        }
+
+        return { width, height, backgroundIndex, frames };
+    }
+
+    static lzwDecode(data, minCodeSize, pixelCount) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = new Uint8Array(pixelCount);
+        const prefixes = new Int16Array(4096);
+        const suffixes = new Uint8Array(4096);
+        const firstChars = new Uint8Array(4096);
+        const stack = new Uint8Array(4097);
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let previousCode = -1;
+        let outPos = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let dataPos = 0;
+
+        for (let i = 0; i < clearCode; i++) {
+            suffixes[i] = i;
+            firstChars[i] = i;
+        }
+
+        while (outPos < pixelCount) {
+            while (bitCount < codeSize) {
+                if (dataPos >= data.length) return output;
+                bitBuffer |= data[dataPos++] << bitCount;
+                bitCount += 8;
+            }
+            const code = bitBuffer & ((1 << codeSize) - 1);
+            bitBuffer >>>= codeSize;
+            bitCount -= codeSize;
+
+            if (code === clearCode) {
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+                previousCode = -1;
+                continue;
+            }
+            if (code === endCode) break;
+
+            if (previousCode === -1) {
+                output[outPos++] = suffixes[code];
+                previousCode = code;
+                continue;
+            }
+
+            // Unwind the code into the stack (handles the KwKwK case when code === nextCode)
+            let stackSize = 0;
+            let current = code;
+            if (code >= nextCode) {
+                stack[stackSize++] = firstChars[previousCode];
+                current = previousCode;
+            }
+            while (current >= clearCode) {
+                stack[stackSize++] = suffixes[current];
+                current = prefixes[current];
+            }
+            stack[stackSize++] = current;
+
+            while (stackSize > 0 && outPos < pixelCount) {
+                output[outPos++] = stack[--stackSize];
+            }
+
+            if (nextCode < 4096) {
+                prefixes[nextCode] = previousCode;
+                suffixes[nextCode] = current;
+                firstChars[nextCode] = firstChars[previousCode];
+                nextCode++;
+                if (nextCode === (1 << codeSize) && codeSize < 12) {
+                    codeSize++;
+                }
+            }
+
+            previousCode = code;
+        }
+
+        return output;
+    }
+}
@@ -0,0 +1,117 @@
+/*
+ * KYWY Web Tools - Binary Project Files
+ * Copyright (c) 2025 KOINSLOT, Inc.
+ * Licensed under the BSD 3-Clause License
+ */
+
+// Compact .kywy project files for the drawing editor. Frames and layers are stored as 1-bit
+// planes instead of PNG data URLs. Layout, little endian:
+//   0   'KYWY' magic
+//   4   u16  format version
+//   6   u32  metadata length N
+//   10  N    metadata, UTF-8 JSON: size, layer properties, script, frame timing...
+//   ... one plane per bitmap: u32 length, then the bitmap packed with KywyBitmapCodec and
+//       compressed with PackBits. Frames come first, then the layers of each frame in order.
+// Masks follow KywyBitmapCodec (Uint8Array, row-major, 1 = white).
+class KywyProjectFile {
+    static MAGIC = 'KYWY';
+    static VERSION = 1;
+    static EXTENSION = 'kywy';
+    static HEADER_SIZE = 10;
+
+    // Accepts an ArrayBuffer or Uint8Array
+    static isProjectFile(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        return bytes.length >= 4 && String.fromCharCode(...bytes.subarray(0, 4)) === KywyProjectFile.MAGIC;
+    }
+
+    // project: { width, height, frames: [mask], layers: { [frameIndex]: { currentLayerIndex,
+    // layers: [{ name, visible, transparencyMode, mask }] } }, ...any other JSON-safe fields }
+    static encode(project) {
+        const { width, height, frames, layers, ...rest } = project;
+        const masks = [...frames];
+        const metadata = { ...rest, width, height, frameCount: frames.length, compression: 'packbits' };
+
+        if (layers) {
+            metadata.layers = {};
+            KywyProjectFile.layerFrameIndices(layers).forEach(frameIndex => {
+                const frameData = layers[frameIndex];
+                metadata.layers[frameIndex] = {
+                    currentLayerIndex: frameData.currentLayerIndex,
+                    layers: frameData.layers.map(({ mask, ...properties }) => {
+                        masks.push(mask);
+                        return properties;
+                    })
+                };
+            });
+        }
+
+        const json = new TextEncoder().encode(JSON.stringify(metadata));
+        const planes = masks.map(mask => KywyCompression.encodePackBits(KywyBitmapCodec.encode(mask, width, height)));
+        const size = KywyProjectFile.HEADER_SIZE + json.length + planes.reduce((total, plane) => total + 4 + plane.length, 0);
+
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+        for (let i = 0; i < 4; i++) bytes[i] = KywyProjectFile.MAGIC.charCodeAt(i);
+        view.setUint16(4, KywyProjectFile.VERSION, true);
+        view.setUint32(6, json.length, true);
+        bytes.set(json, KywyProjectFile.HEADER_SIZE);
+
+        let pos = KywyProjectFile.HEADER_SIZE + json.length;
+        planes.forEach(plane => {
+            view.setUint32(pos, plane.length, true);
+            bytes.set(plane, pos + 4);
+            pos += 4 + plane.length;
+        });
+        return bytes;
+    }
+
+    // Returns the project in the shape encode() takes
+    static decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (bytes.length < KywyProjectFile.HEADER_SIZE || !KywyProjectFile.isProjectFile(bytes)) {
+            throw new Error('Not a KYWY project file');
+        }
+        const version = view.getUint16(4, true);
+        if (version > KywyProjectFile.VERSION) {
+            throw new Error(`Project file version ${version} is newer than this editor supports (${KywyProjectFile.VERSION})`);
+        }
+
+        const jsonLength = view.getUint32(6, true);
+        const metadata = JSON.parse(new TextDecoder().decode(bytes.subarray(KywyProjectFile.HEADER_SIZE, KywyProjectFile.HEADER_SIZE + jsonLength)));
+        const { width, height, frameCount, compression, layers, ...rest } = metadata;
+        const packedLength = KywyBitmapCodec.byteLength(width, height);
+
+        let pos = KywyProjectFile.HEADER_SIZE + jsonLength;
+        const readMask = () => {
+            if (pos + 4 > bytes.length) throw new Error('Project file is truncated');
+            const length = view.getUint32(pos, true);
+            const plane = bytes.subarray(pos + 4, pos + 4 + length);
+            if (plane.length < length) throw new Error('Project file is truncated');
+            pos += 4 + length;
+            return KywyBitmapCodec.decode(KywyCompression.decode(plane, compression, packedLength), width, height);
+        };
+
+        const project = { ...rest, width, height, frames: [] };
+        for (let i = 0; i < frameCount; i++) project.frames.push(readMask());
+
+        if (layers) {
+            project.layers = {};
+            KywyProjectFile.layerFrameIndices(layers).forEach(frameIndex => {
+                project.layers[frameIndex] = {
+                    currentLayerIndex: layers[frameIndex].currentLayerIndex,
+                    layers: layers[frameIndex].layers.map(properties => ({ ...properties, mask: readMask() }))
+                };
+            });
+        }
+
+        return project;
+    }
+
+    // Plane order must not depend on how the object's keys happen to be ordered
+    static layerFrameIndices(layers) {
+        return Object.keys(layers).sort((a, b) => parseInt(a) - parseInt(b));
+    }
+}
@@ -0,0 +1,121 @@
+/*
+ * KYWY Web Tools - ZIP Writer
+ * Copyright (c) 2025 KOINSLOT, Inc.
+ * Licensed under the BSD 3-Clause License
+ */
+
+// Minimal ZIP archive writer (stored entries, no compression) so tools can
+// bundle several generated files into one download without external libraries.
+class KywyZipWriter {
+    static CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    constructor() {
+        this.entries = [];
+        this.encoder = new TextEncoder();
+    }
+
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = KywyZipWriter.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Add a file; content may be a string (stored as UTF-8) or a Uint8Array
+    addFile(name, content, date = new Date()) {
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+        this.entries.push({
+            name: this.encoder.encode(name),
+            data: data,
+            crc: KywyZipWriter.crc32(data),
+            date: date
+        });
+    }
+
+    static dosTime(date) {
+        return (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    }
+
+    static dosDate(date) {
+        return ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    }
+
+    toUint8Array() {
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const time = KywyZipWriter.dosTime(entry.date);
+            const date = KywyZipWriter.dosDate(entry.date);
+
+            // Local file header
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);             // Version needed
+            local.setUint16(6, 0x0800, true);         // UTF-8 file names
+            local.setUint16(8, 0, true);              // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.data.length, true);
+            local.setUint32(22, entry.data.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), entry.name, entry.data);
+
+            // Central directory record
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);           // Version made by
+            central.setUint16(6, 20, true);           // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, entry.crc, true);
+            central.setUint32(20, entry.data.length, true);
+            central.setUint32(24, entry.data.length, true);
+            central.setUint16(28, entry.name.length, true);
+            central.setUint32(42, offset, true);      // Local header offset
+            centralParts.push(new Uint8Array(central.buffer), entry.name);
+
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+
+        return output;
+    }
+
+    toBlob() {
+        return new Blob([this.toUint8Array()], { type: 'application/zip' });
+    }
+}